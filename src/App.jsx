@@ -1,8 +1,9 @@
 // src/App.jsx
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useCallback, useDeferredValue, useEffect, useMemo, useRef, useState, useSyncExternalStore } from "react";
 import Quill from "quill";
 import ReactQuill from "react-quill";
 import "react-quill/dist/quill.snow.css";
+import "highlight.js/styles/github.css";
 
 // optional: Quill image resize (if installed)
 import ImageResize from "quill-image-resize-module-react";
@@ -15,38 +16,136 @@ try {
 
 import { ToastContainer, toast } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
-import DOMPurify from "dompurify";
+import { diffWords, diffTags } from "./diff.js";
+import { postVersion, resolveQueuedPost, storage, syncQueuedPosts } from "./storage/index.js";
+import { auth, canEditPost } from "./auth/index.js";
+import { processImageFile } from "./images/processImage.js";
+import { IMAGE_REF_PREFIX, isImageRef, getCachedImageUrl, resolveImageUrl, dehydrateImageRefs, hydrateImageRefs, inlineImageRefs } from "./images/imageStore.js";
+import { registerStoredImageBlot } from "./images/quillImageBlot.js";
+import { normalizeTable, registerEditorFormats } from "./editor/blots.js";
+import { EMBED_PROVIDERS, toEmbedUrl } from "./editor/embeds.js";
+import { CODE_LANGUAGES } from "./editor/highlight.js";
+import { IMAGE_ALIGNMENTS, applyImageMeta, coverImageOf } from "./images/imageMeta.js";
+import { htmlToMarkdown, markdownToHtml, markdownToPost, postToMarkdown } from "./markdown.js";
+import { downloadBlob, downloadText } from "./download.js";
+import { assignSlugs, slugify, uniqueSlug } from "./slug.js";
+import { matchRoute, navigate, routeHref, routes, routeUrl, usePath } from "./router.js";
+import { buildSearchIndex, facetCounts, highlight, parseQuery, searchPosts, snippet } from "./search.js";
+import { canonicalTag, normalizeTags, retagItems, suggestTags, tagKey, tagUsage } from "./tags.js";
+import { POST_STATUSES, fromDateTimeLocal, isPublished, nextPublishAt, postStatus, publishedAtOf, statusLabel, toDateTimeLocal, unpublishedPost } from "./status.js";
+import { MAX_THREAD_DEPTH, buildThreads, canDeleteComment, commentCounts, commentStatus, createComment, deletionOf, reactionId, reactionSummary } from "./comments.js";
+import { cleanPastedHtml, cleanPostHtml, renderPostHtml, sanitizeHtml } from "./sanitize.js";
+import { migrateSizeHeadings, tableOfContents } from "./headings.js";
+import { EMPTY_SEO, SEO_DESCRIPTION_MAX, SEO_TITLE_MAX, isAbsoluteUrl, normalizeSeo, resolveSeo, seoHeadTags, useHeadTags } from "./seo.js";
+import { blockText, firstSentence, plainText, truncate } from "./text.js";
+import { LONG_SENTENCE_WORDS, countWords, readingEaseLabel, readingTime, textStats, writingIssues } from "./writingStats.js";
+import { collabColor, collabEnabled, useCollaboration } from "./collab.js";
+import { checkLinkUrl } from "./links.js";
+import { runPublishChecks } from "./publishChecks.js";
+import { DEFAULT_BINDINGS, IS_MAC, SHORTCUT_COMMANDS, comboFromEvent, formatCombo, isBindableCombo, loadBindings, saveBindings, useShortcuts } from "./shortcuts.js";
+import { buildStaticSite, siteSettings } from "./staticSite.js";
+import { BackupError, collectImageRefs, createJsonBackup, createZipBackup, findConflicts, readBackupFile, replaceImageRefs, sanitizeImportedPost, selectIncoming } from "./backup.js";
+
+registerStoredImageBlot();
+registerEditorFormats();
+
+/* ---------- helper: unique, increasing ids (Date.now() can repeat within a click handler) ---------- */
+let lastIssuedId = 0;
+function nextId() {
+  const now = Date.now();
+  lastIssuedId = now > lastIssuedId ? now : lastIssuedId + 1;
+  return lastIssuedId;
+}
+
+/* ---------- helper: does a draft hold anything worth keeping ---------- */
+function hasDraftContent(draft) {
+  return !!(
+    (draft.title && draft.title.trim()) ||
+    (draft.content && draft.content.trim()) ||
+    (draft.tags && draft.tags.length > 0) ||
+    (draft.images && draft.images.length > 0)
+  );
+}
+
+// posts and drafts saved with the old font-size headings, with <h1>-<h6> instead; unchanged items keep their identity
+const migrateAll = (items, field) => items.map((item) => {
+  const html = migrateSizeHeadings(item[field]);
+  return html === (item[field] || "") ? item : { ...item, [field]: html };
+});
+
+// the editor's SEO fields: the slug plus post.seo
+const EDITOR_SEO = { slug: "", ...EMPTY_SEO };
+
+// fields that decide whether a draft actually changed
+const draftFingerprint = (d) => JSON.stringify([d.title, d.content, d.tags, d.images, d.editingId ?? null, d.status ?? "published", d.publishAt ?? null, !!d.toc, d.seo ?? null, d.createdAt ?? null]);
+
+/* ---------- connection status ---------- */
+const subscribeOnline = (onChange) => {
+  window.addEventListener("online", onChange);
+  window.addEventListener("offline", onChange);
+  return () => {
+    window.removeEventListener("online", onChange);
+    window.removeEventListener("offline", onChange);
+  };
+};
+const useOnline = () => useSyncExternalStore(subscribeOnline, () => navigator.onLine);
 
-/* ---------- constants ---------- */
-const DRAFT_KEY = "blog-draft";
-const POSTS_KEY = "blog-posts";
+/* ---------- stored images: resolve "idb://" refs for display ---------- */
 
-/* ---------- helper: clean Quill HTML (run once on publish) ---------- */
-function cleanHtml(rawHtml) {
-  if (!rawHtml) return "";
-  let html = rawHtml.trim();
-  html = html.replace(/<p>(\s|&nbsp;|<br\s*\/?>)*<\/p>/gi, "<p></p>");
-  html = html.replace(/(<p>\s*<\/p>\s*){2,}/gi, "<p></p>");
-  html = html.replace(/^(<p>\s*<\/p>\s*)+/i, "");
-  html = html.replace(/(<p>\s*<\/p>\s*)+$/i, "");
-  html = html.replace(/(<br\s*\/?>\s*){2,}/gi, "<br/>");
-  return html.trim();
+// sanitized, displayable HTML for editor or stored content (images[] supplies alt text, captions and alignment)
+function useDisplayHtml(html, images) {
+  const sanitized = useMemo(() => renderPostHtml(html, images), [html, images]);
+  const [hydrated, setHydrated] = useState({ source: null, html: "" });
+
+  useEffect(() => {
+    if (!sanitized.includes(IMAGE_REF_PREFIX)) return;
+    let cancelled = false;
+    hydrateImageRefs(sanitized).then((out) => { if (!cancelled) setHydrated({ source: sanitized, html: out }); });
+    return () => { cancelled = true; };
+  }, [sanitized]);
+
+  return hydrated.source === sanitized ? hydrated.html : sanitized;
 }
 
-/* ---------- autosave hook (debounced) ---------- */
-function useAutoSaveDraft(draft, delay = 30000) {
+/* ---------- in-app links (client-side navigation, normal links for new tabs) ---------- */
+function Link({ to, onClick, ...rest }) {
+  const handleClick = (e) => {
+    onClick?.(e);
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    navigate(to);
+  };
+  return <a {...rest} href={routeHref(to)} onClick={handleClick} />;
+}
+
+function StoredImage({ src, alt, ...rest }) {
+  const [resolved, setResolved] = useState({});
+  const url = isImageRef(src) ? resolved[src] || getCachedImageUrl(src) : src;
+
   useEffect(() => {
-    const hasContent =
-      (draft.title && draft.title.trim()) ||
-      (draft.content && draft.content.trim()) ||
-      (draft.tags && draft.tags.length > 0) ||
-      (draft.images && draft.images.length > 0);
+    if (!isImageRef(src) || getCachedImageUrl(src)) return;
+    let cancelled = false;
+    resolveImageUrl(src)
+      .then((u) => { if (!cancelled) setResolved((prev) => ({ ...prev, [src]: u })); })
+      .catch((err) => console.warn(err.message));
+    return () => { cancelled = true; };
+  }, [src]);
+
+  return url ? <img src={url} alt={alt} {...rest} /> : <span className="image-missing" title={alt}>…</span>;
+}
 
-    if (!hasContent) return;
+/* ---------- autosave hook (debounced) ---------- */
+function useAutoSaveDraft(draft, onSave, delay = 30000) {
+  // keep the latest callback without restarting the debounce timer
+  const saveRef = useRef(onSave);
+  useEffect(() => { saveRef.current = onSave; });
+
+  useEffect(() => {
+    if (!hasDraftContent(draft)) return;
 
     const t = setTimeout(() => {
       try {
-        localStorage.setItem(DRAFT_KEY, JSON.stringify(draft));
+        saveRef.current(draft);
         toast.info("Draft auto-saved", { autoClose: 1100, pauseOnHover: false });
       } catch (err) {
         console.error(err);
@@ -58,15 +157,49 @@ function useAutoSaveDraft(draft, delay = 30000) {
   }, [draft, delay]);
 }
 
+/* ---------- Image properties (alt, caption, alignment, cover) for the selected image ---------- */
+function ImagePropertiesPanel({ image, onChange }) {
+  return (
+    <div className="image-props">
+      <span className="image-props-label" title={image.name}>Image</span>
+      <input
+        aria-label="Alt text"
+        className={(image.alt || "").trim() ? "" : "missing"}
+        placeholder="Alt text (required)"
+        value={image.alt || ""}
+        onChange={(e) => onChange(image.id, { alt: e.target.value })}
+      />
+      <input
+        aria-label="Caption"
+        placeholder="Caption (optional)"
+        value={image.caption || ""}
+        onChange={(e) => onChange(image.id, { caption: e.target.value })}
+      />
+      <select aria-label="Alignment" value={image.align || "center"} onChange={(e) => onChange(image.id, { align: e.target.value })}>
+        {IMAGE_ALIGNMENTS.map((a) => <option key={a} value={a}>{a === "full" ? "Full width" : a[0].toUpperCase() + a.slice(1)}</option>)}
+      </select>
+      <label className="image-props-cover">
+        <input type="checkbox" checked={!!image.cover} onChange={(e) => onChange(image.id, { cover: e.target.checked })} />
+        Cover image
+      </label>
+    </div>
+  );
+}
+
 /* ---------- Editor toolbar (with width/height inputs) ---------- */
-function EditorToolbar({ onFormat, onShowLinkModal, onResizeImage }) {
+function EditorToolbar({ onFormat, onShowLinkModal, onInsertBlock, onResizeImage, selectedImage, onUpdateImage }) {
   const [widthVal, setWidthVal] = useState("");
   const [heightVal, setHeightVal] = useState("");
 
   const handleHeading = (e) => {
-    const map = { h1: "36px", h2: "32px", h3: "28px", h4: "24px", h5: "18px", h6: "14px" };
     const v = e.target.value;
-    onFormat("size", v ? map[v] : false);
+    onFormat("header", v === "p" ? false : Number(v.slice(1)));
+    e.target.value = "";
+  };
+
+  const handleCodeBlock = (e) => {
+    const v = e.target.value;
+    if (v) onFormat("code-block", v === "off" ? false : v);
     e.target.value = "";
   };
 
@@ -87,8 +220,9 @@ function EditorToolbar({ onFormat, onShowLinkModal, onResizeImage }) {
         <button type="button" onClick={() => onFormat("list", "ordered")}>OL</button>
         <button type="button" onClick={() => onFormat("list", "bullet")}>UL</button>
 
-        <select defaultValue="" onChange={handleHeading}>
-          <option value="">Normal</option>
+        <select defaultValue="" onChange={handleHeading} title="Heading">
+          <option value="" disabled hidden>Heading…</option>
+          <option value="p">Normal</option>
           <option value="h1">H1</option>
           <option value="h2">H2</option>
           <option value="h3">H3</option>
@@ -99,6 +233,17 @@ function EditorToolbar({ onFormat, onShowLinkModal, onResizeImage }) {
 
         <button type="button" onClick={onShowLinkModal}>Insert Link</button>
 
+        <button type="button" title="Blockquote" onClick={() => onFormat("blockquote")}>Quote</button>
+        <button type="button" title="Inline code" onClick={() => onFormat("code")}>{"</>"}</button>
+        <select defaultValue="" onChange={handleCodeBlock} title="Code block">
+          <option value="">Code block…</option>
+          {CODE_LANGUAGES.map((l) => <option key={l.id} value={l.id}>{l.label}</option>)}
+          <option value="off">Remove code block</option>
+        </select>
+        <button type="button" onClick={() => onInsertBlock("table")}>Table</button>
+        <button type="button" title="Horizontal rule" onClick={() => onInsertBlock("divider")}>HR</button>
+        <button type="button" title={`Embed a video (${EMBED_PROVIDERS.join(", ")})`} onClick={() => onInsertBlock("video")}>Embed</button>
+
         {/* image size controls */}
         <div style={{ display: "inline-flex", gap: 8, marginLeft: 12, alignItems: "center" }}>
           <input
@@ -122,6 +267,7 @@ function EditorToolbar({ onFormat, onShowLinkModal, onResizeImage }) {
           </button>
         </div>
       </div>
+      {selectedImage && <ImagePropertiesPanel image={selectedImage} onChange={onUpdateImage} />}
     </div>
   );
 }
@@ -132,15 +278,16 @@ function LinkModal({ open, onClose, onInsert }) {
   useEffect(() => { if (open) setUrl(""); }, [open]);
   if (!open) return null;
 
+  // bare domains get https://; javascript:, data: and other schemes are refused instead of being "fixed"
+  const check = checkLinkUrl(url);
+
   const handleSubmit = (e) => {
     e.preventDefault();
-    if (!url.trim()) {
-      toast.warn("Please enter a link URL");
+    if (check.error) {
+      toast.warn(check.error);
       return;
     }
-    let final = url.trim();
-    if (!final.startsWith("http://") && !final.startsWith("https://")) final = "https://" + final;
-    onInsert(final);
+    onInsert(check.url);
     onClose();
   };
 
@@ -150,6 +297,7 @@ function LinkModal({ open, onClose, onInsert }) {
         <h3>Insert hyperlink</h3>
         <form onSubmit={handleSubmit}>
           <input autoFocus type="text" placeholder="https://example.com" value={url} onChange={(e) => setUrl(e.target.value)} />
+          {url.trim() && check.error && <p className="modal-hint error">{check.error}</p>}
           <div className="modal-actions">
             <button type="button" onClick={onClose}>Cancel</button>
             <button type="submit">Insert</button>
@@ -160,22 +308,375 @@ function LinkModal({ open, onClose, onInsert }) {
   );
 }
 
+/* ---------- Pre-publish checklist: passed rules, warnings (can be overridden) and blocking problems ---------- */
+function PublishChecklist({ results, actionLabel, onPublish, onClose }) {
+  const flagged = results.some((r) => r.problems.length);
+  const blocked = results.some((r) => r.level === "block" && r.problems.length);
+  const stateOf = (r) => (!r.problems.length ? "passed" : r.level === "block" ? "blocked" : "warning");
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal publish-checklist" role="dialog" aria-label="Publish checklist">
+        <h3>Before you publish</h3>
+        <ul className="checklist">
+          {results.map((r) => (
+            <li key={r.id} className={stateOf(r)}>
+              <span className="check-icon" aria-hidden="true">{{ passed: "✓", blocked: "✕", warning: "!" }[stateOf(r)]}</span>
+              <div>
+                <strong>{r.label}</strong>
+                {r.problems.length > 0 && <em className="check-level">{r.level === "block" ? "required" : "warning"}</em>}
+                {r.problems.length > 0 && <ul>{r.problems.map((problem, i) => <li key={i}>{problem}</li>)}</ul>}
+              </div>
+            </li>
+          ))}
+        </ul>
+        {blocked && <p className="modal-hint">Fix the required items before this post can go live.</p>}
+        <div className="modal-actions">
+          <button type="button" onClick={onClose}>Back to editor</button>
+          <button type="button" disabled={blocked} onClick={onPublish}>{flagged ? `${actionLabel} anyway` : actionLabel}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ---------- Embed modal (video players from known providers) ---------- */
+function EmbedModal({ onClose, onInsert }) {
+  const [url, setUrl] = useState("");
+  const embedUrl = toEmbedUrl(url);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!embedUrl) {
+      toast.warn(`Paste a link from ${EMBED_PROVIDERS.join(", ")}`);
+      return;
+    }
+    onInsert(embedUrl);
+    onClose();
+  };
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal">
+        <h3>Embed a video</h3>
+        <form onSubmit={handleSubmit}>
+          <input autoFocus type="text" placeholder="https://www.youtube.com/watch?v=…" value={url} onChange={(e) => setUrl(e.target.value)} />
+          <p className="modal-hint">{url.trim() && !embedUrl ? "This link is not from a supported site." : `Supported: ${EMBED_PROVIDERS.join(", ")}`}</p>
+          <div className="modal-actions">
+            <button type="button" onClick={onClose}>Cancel</button>
+            <button type="submit" disabled={!embedUrl}>Embed</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+/* ---------- Table dialog: first row is the header ---------- */
+const blankTable = () => ({ rows: [["Column 1", "Column 2", "Column 3"], ["", "", ""], ["", "", ""]] });
+
+function TableDialog({ table, isNew, onSave, onRemove, onClose }) {
+  const [rows, setRows] = useState(() => normalizeTable(table).rows);
+  const columns = rows[0].length;
+
+  const setCell = (r, c, value) => setRows((prev) => prev.map((row, i) => (i === r ? row.map((cell, j) => (j === c ? value : cell)) : row)));
+  const addRow = () => setRows((prev) => [...prev, Array(columns).fill("")]);
+  const removeRow = () => setRows((prev) => (prev.length > 1 ? prev.slice(0, -1) : prev));
+  const addColumn = () => setRows((prev) => prev.map((row, i) => [...row, i === 0 ? `Column ${row.length + 1}` : ""]));
+  const removeColumn = () => setRows((prev) => (columns > 1 ? prev.map((row) => row.slice(0, -1)) : prev));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({ rows });
+    onClose();
+  };
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal table-dialog">
+        <h3>{isNew ? "Insert table" : "Edit table"}</h3>
+        <form onSubmit={handleSubmit}>
+          <div className="table-grid" style={{ gridTemplateColumns: `repeat(${columns}, minmax(90px, 1fr))` }}>
+            {rows.map((row, r) => row.map((cell, c) => (
+              <input key={`${r}-${c}`} className={r === 0 ? "table-cell header" : "table-cell"} value={cell} onChange={(e) => setCell(r, c, e.target.value)} aria-label={r === 0 ? `Header ${c + 1}` : `Row ${r}, column ${c + 1}`} />
+            )))}
+          </div>
+          <div className="table-dialog-tools">
+            <button type="button" onClick={addRow}>+ Row</button>
+            <button type="button" onClick={removeRow} disabled={rows.length <= 1}>− Row</button>
+            <button type="button" onClick={addColumn}>+ Column</button>
+            <button type="button" onClick={removeColumn} disabled={columns <= 1}>− Column</button>
+          </div>
+          <div className="modal-actions">
+            {!isNew && <button type="button" className="danger" onClick={() => { onRemove(); onClose(); }}>Remove table</button>}
+            <button type="button" onClick={onClose}>Cancel</button>
+            <button type="submit">{isNew ? "Insert" : "Save"}</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+/* ---------- Writing analytics: live counts and readability under the editor, long sentences and passive voice marked over it ---------- */
+// the editor's text with embeds as line breaks, so offsets are Quill indexes
+const editorText = (editor) => editor.getContents().ops.map((op) => (typeof op.insert === "string" ? op.insert : "\n")).join("");
+
+// one box per rendered line of each issue, positioned relative to layer; parts scrolled out of the editor are skipped
+function issueMarks(editor, issues, layer) {
+  const origin = layer.getBoundingClientRect();
+  const visible = editor.root.getBoundingClientRect();
+  const textPoint = (index) => {
+    const [leaf, offset] = editor.getLeaf(index);
+    return leaf?.domNode.nodeType === Node.TEXT_NODE ? [leaf.domNode, Math.min(offset, leaf.domNode.length)] : null;
+  };
+  return issues.flatMap((issue) => {
+    const start = textPoint(issue.start);
+    const end = textPoint(issue.end);
+    if (!start || !end) return [];
+    const range = document.createRange();
+    range.setStart(...start);
+    range.setEnd(...end);
+    return [...range.getClientRects()]
+      .filter((r) => r.width > 1 && r.bottom > visible.top && r.top < visible.bottom)
+      .map((r) => {
+        const mark = document.createElement("div");
+        mark.className = `issue-mark ${issue.kind}`;
+        Object.assign(mark.style, { left: `${r.left - origin.left}px`, top: `${r.top - origin.top}px`, width: `${r.width}px`, height: `${r.height}px` });
+        return mark;
+      });
+  });
+}
+
+function WritingAnalytics({ quillRef, content }) {
+  const [highlightIssues, setHighlightIssues] = useState(true);
+  const [jumped, setJumped] = useState({}); // kind -> index of the issue last selected from the bar
+  const layerRef = useRef(null);
+
+  const subscribe = useCallback((onChange) => {
+    const editor = quillRef.current?.getEditor();
+    editor?.on("text-change", onChange);
+    return () => editor?.off("text-change", onChange);
+  }, [quillRef]);
+  const text = useSyncExternalStore(subscribe, () => {
+    const editor = quillRef.current?.getEditor();
+    return editor ? editorText(editor) : "";
+  });
+  const issues = useMemo(() => writingIssues(text), [text]);
+  // counted from the HTML so table cells count too
+  const stats = useMemo(() => textStats(blockText(content)), [content]);
+
+  // marks are plain DOM over the editor, redrawn when the text, the editor's size or its scroll position changes
+  useEffect(() => {
+    const editor = quillRef.current?.getEditor();
+    const layer = layerRef.current;
+    if (!editor || !layer) return;
+    const draw = () => layer.replaceChildren(...(highlightIssues ? issueMarks(editor, issues, layer) : []));
+    draw();
+    const observer = new ResizeObserver(draw);
+    observer.observe(editor.root);
+    editor.root.addEventListener("scroll", draw);
+    return () => {
+      observer.disconnect();
+      editor.root.removeEventListener("scroll", draw);
+      layer.replaceChildren();
+    };
+  }, [quillRef, issues, highlightIssues]);
+
+  // select the next issue of a kind in the editor
+  const jumpTo = (kind) => {
+    const list = issues.filter((i) => i.kind === kind);
+    if (!list.length) return;
+    const next = ((jumped[kind] ?? -1) + 1) % list.length;
+    setJumped({ ...jumped, [kind]: next });
+    quillRef.current?.getEditor().setSelection(list[next].start, list[next].end - list[next].start, "user");
+  };
+
+  const longCount = issues.filter((i) => i.kind === "long").length;
+  const passiveCount = issues.length - longCount;
+
+  return (
+    <>
+      <div ref={layerRef} className="issue-layer" aria-hidden="true" />
+      <div className="writing-stats">
+        <span><strong>{stats.words.toLocaleString()}</strong> {stats.words === 1 ? "word" : "words"}</span>
+        <span><strong>{stats.characters.toLocaleString()}</strong> characters</span>
+        <span><strong>{stats.readingMinutes}</strong> min read</span>
+        {stats.grade != null && (
+          <span title={`Flesch–Kincaid grade level ${stats.grade.toFixed(1)}; Flesch reading ease ${Math.round(stats.ease)} of 100`}>
+            Grade <strong>{stats.grade.toFixed(1)}</strong> · {readingEaseLabel(stats.ease)}
+          </span>
+        )}
+        <button type="button" className="issue-count long" disabled={!longCount} onClick={() => jumpTo("long")} title={`Sentences over ${LONG_SENTENCE_WORDS} words; click to select the next one`}>
+          {longCount} long {longCount === 1 ? "sentence" : "sentences"}
+        </button>
+        <button type="button" className="issue-count passive" disabled={!passiveCount} onClick={() => jumpTo("passive")} title="Possible passive voice; click to select the next one">
+          {passiveCount} passive
+        </button>
+        <label className="issue-toggle">
+          <input type="checkbox" checked={highlightIssues} onChange={(e) => setHighlightIssues(e.target.checked)} /> Highlight
+        </label>
+      </div>
+    </>
+  );
+}
+
+/* ---------- Command palette (Ctrl/⌘+K): every command available on the current screen ---------- */
+// command id -> handleFormat arguments
+const FORMAT_COMMANDS = {
+  bold: ["bold"],
+  italic: ["italic"],
+  paragraph: ["header", false],
+  ...Object.fromEntries([1, 2, 3, 4, 5, 6].map((n) => [`heading${n}`, ["header", n]])),
+  orderedList: ["list", "ordered"],
+  bulletList: ["list", "bullet"],
+};
+
+function CommandPalette({ commands, bindings, onRun, onClose }) {
+  const [query, setQuery] = useState("");
+  const [active, setActive] = useState(0);
+  const q = query.trim().toLowerCase();
+  const matches = commands.filter((c) => !q || `${c.group} ${c.label}`.toLowerCase().includes(q));
+  const current = Math.min(active, matches.length - 1);
+
+  const run = (command) => {
+    onClose();
+    onRun(command.id);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      if (matches.length) setActive((current + (e.key === "ArrowDown" ? 1 : -1) + matches.length) % matches.length);
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      if (matches[current]) run(matches[current]);
+    } else if (e.key === "Escape" || comboFromEvent(e.nativeEvent) === bindings.palette) {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  return (
+    <div className="modal-backdrop" onMouseDown={(e) => { if (e.target === e.currentTarget) onClose(); }}>
+      <div className="modal command-palette" role="dialog" aria-label="Command palette">
+        <input
+          autoFocus
+          type="text"
+          placeholder="Type a command…"
+          value={query}
+          onChange={(e) => { setQuery(e.target.value); setActive(0); }}
+          onKeyDown={handleKeyDown}
+          role="combobox"
+          aria-expanded="true"
+          aria-controls="command-palette-list"
+          aria-activedescendant={matches[current] ? `command-${matches[current].id}` : undefined}
+        />
+        <ul id="command-palette-list" className="command-list" role="listbox">
+          {matches.map((c, i) => (
+            <li
+              key={c.id}
+              id={`command-${c.id}`}
+              role="option"
+              aria-selected={i === current}
+              className={i === current ? "active" : ""}
+              onMouseEnter={() => setActive(i)}
+              onMouseDown={(e) => { e.preventDefault(); run(c); }}
+            >
+              <span className="command-group">{c.group}</span>
+              <span className="command-label">{c.label}</span>
+              {bindings[c.id] && <kbd>{formatCombo(bindings[c.id])}</kbd>}
+            </li>
+          ))}
+          {matches.length === 0 && <li className="command-empty">No matching command</li>}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+/* ---------- Keyboard shortcut cheat sheet (click a binding, press the new keys) ---------- */
+function ShortcutSheet({ bindings, onChange, onReset, onClose }) {
+  const [recording, setRecording] = useState(null); // id of the command waiting for a key combo
+  const groups = [...new Set(SHORTCUT_COMMANDS.map((c) => c.group))];
+
+  const handleRecordKey = (e, id) => {
+    if (recording !== id || e.key === "Tab") return;
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.key === "Escape") { setRecording(null); return; }
+    const combo = comboFromEvent(e.nativeEvent);
+    if (!combo) return; // modifier still held
+    if (!isBindableCombo(combo)) { toast.info(`Shortcuts need ${IS_MAC ? "⌘, ⌃" : "Ctrl"} or Alt`); return; }
+    onChange(id, combo);
+    setRecording(null);
+  };
+
+  return (
+    <div className="modal-backdrop" onKeyDown={(e) => { if (e.key === "Escape" && !recording) onClose(); }}>
+      <div className="modal shortcut-sheet" role="dialog" aria-label="Keyboard shortcuts">
+        <h3>Keyboard shortcuts</h3>
+        <p className="modal-hint">Click a shortcut and press the keys you want (Esc cancels). Changes are kept in this browser.</p>
+        {groups.map((group) => (
+          <section key={group}>
+            <h4>{group}</h4>
+            <table className="shortcut-table">
+              <tbody>
+                {SHORTCUT_COMMANDS.filter((c) => c.group === group).map((c) => (
+                  <tr key={c.id}>
+                    <td>{c.label}</td>
+                    <td>
+                      <button
+                        type="button"
+                        className={recording === c.id ? "shortcut-key recording" : "shortcut-key"}
+                        onClick={() => setRecording(recording === c.id ? null : c.id)}
+                        onKeyDown={(e) => handleRecordKey(e, c.id)}
+                        onBlur={() => setRecording(null)}
+                      >
+                        {recording === c.id ? "Press keys…" : bindings[c.id] ? <kbd>{formatCombo(bindings[c.id])}</kbd> : "Not set"}
+                      </button>
+                    </td>
+                    <td>{bindings[c.id] && <button type="button" className="shortcut-clear" onClick={() => onChange(c.id, null)}>Clear</button>}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+        ))}
+        <div className="modal-actions">
+          <button type="button" onClick={onReset}>Reset to defaults</button>
+          <button type="button" autoFocus onClick={onClose}>Done</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 /* ---------- Tag selector ---------- */
-function TagSelector({ selectedTags, onChange }) {
+// usage: tagUsage() of the published posts, for autocomplete and reusing existing spellings
+function TagSelector({ selectedTags, onChange, usage = [] }) {
   const [input, setInput] = useState("");
+  const [active, setActive] = useState(0); // highlighted suggestion
+  const [focused, setFocused] = useState(false);
   const inputRef = useRef(null);
+  const suggestions = suggestTags(input, usage, selectedTags);
 
   const addTag = (raw) => {
-    const tag = raw.trim();
-    if (!tag) return;
-    if (selectedTags.includes(tag)) return;
-    onChange([...selectedTags, tag]);
+    const tag = canonicalTag(raw, usage);
+    if (!tagKey(tag)) return;
     setInput("");
+    setActive(0);
+    if (selectedTags.some((t) => tagKey(t) === tagKey(tag))) return;
+    onChange([...selectedTags, tag]);
     setTimeout(() => inputRef.current?.focus(), 0);
   };
 
   const handleKeyDown = (e) => {
-    if (e.key === "Enter" || e.key === ",") { e.preventDefault(); addTag(input); }
+    if (e.key === "ArrowDown" && suggestions.length) { e.preventDefault(); setActive((i) => (i + 1) % suggestions.length); }
+    else if (e.key === "ArrowUp" && suggestions.length) { e.preventDefault(); setActive((i) => (i - 1 + suggestions.length) % suggestions.length); }
+    else if (e.key === "Enter" && suggestions[active]) { e.preventDefault(); addTag(suggestions[active].tag); }
+    else if (e.key === "Enter" || e.key === ",") { e.preventDefault(); addTag(input); }
+    else if (e.key === "Escape") setInput("");
     else if (e.key === "Backspace" && !input && selectedTags.length) onChange(selectedTags.slice(0, -1));
   };
 
@@ -191,105 +692,197 @@ function TagSelector({ selectedTags, onChange }) {
             <button type="button" className="tag-remove" onClick={() => handleRemove(tag)}>×</button>
           </span>
         ))}
-        <input ref={inputRef} className="tag-text-input" placeholder={selectedTags.length === 0 ? "Type a tag and press Enter…" : "Add another tag…"} value={input} onChange={(e)=>setInput(e.target.value)} onKeyDown={handleKeyDown}/>
+        <input ref={inputRef} className="tag-text-input" placeholder={selectedTags.length === 0 ? "Type a tag and press Enter…" : "Add another tag…"} value={input} onChange={(e)=>{ setInput(e.target.value); setActive(0); }} onKeyDown={handleKeyDown} onFocus={() => setFocused(true)} onBlur={() => setFocused(false)} />
+        {focused && suggestions.length > 0 && (
+          <ul className="tag-suggestions" role="listbox">
+            {suggestions.map((s, i) => (
+              <li key={s.key} role="option" aria-selected={i === active} className={i === active ? "active" : ""} onMouseDown={(e) => { e.preventDefault(); addTag(s.tag); }} onMouseEnter={() => setActive(i)}>
+                <span>{s.tag}</span><em>{s.count} post{s.count === 1 ? "" : "s"}</em>
+              </li>
+            ))}
+          </ul>
+        )}
       </div>
-      <small>Press Enter or comma to add a tag.</small>
+      <small>Press Enter or comma to add a tag. Tags are lower-cased, and existing tags are reused.</small>
     </div>
   );
 }
 
-/* ---------- Image uploader (insert + persist thumbnail sizes) ---------- */
-function ImageUploader({ images, onImagesChange, quillRef }) {
-  const [isUploading, setIsUploading] = useState(false);
-  const [progress, setProgress] = useState(0);
-
-  const prepareImageDom = (imgEl) => {
-    if (!imgEl) return;
-    imgEl.setAttribute("draggable", "true");
-    imgEl.setAttribute("data-default-size", "true");
-    // default inline style so the HTML contains it (editor content includes style)
-    // use percentage default to look good in article body; thumbnails use separate stored width/height
-    imgEl.style.width = "60%";
-    imgEl.style.maxWidth = "100%";
-    imgEl.style.height = "auto";
-    imgEl.style.display = "block";
-    imgEl.style.margin = "0.5rem auto";
-    imgEl.addEventListener("dragstart", (ev) => {
-      if (ev.dataTransfer) ev.dataTransfer.setData("text/plain", imgEl.getAttribute("src"));
-    });
-  };
+/* ---------- Image insertion (shared by the uploader, drag-and-drop and paste) ---------- */
+const prepareImageDom = (imgEl) => {
+  if (!imgEl) return;
+  imgEl.setAttribute("draggable", "true");
+  imgEl.setAttribute("data-default-size", "true");
+  // default inline style so the HTML contains it (editor content includes style)
+  // use percentage default to look good in article body; thumbnails use separate stored width/height
+  imgEl.style.width = "60%";
+  imgEl.style.maxWidth = "100%";
+  imgEl.style.height = "auto";
+  imgEl.style.display = "block";
+  imgEl.style.margin = "0.5rem auto";
+  imgEl.addEventListener("dragstart", (ev) => {
+    if (ev.dataTransfer) ev.dataTransfer.setData("text/plain", imgEl.getAttribute("src"));
+  });
+};
+
+// url is a URL or an "idb://" ref; thumbUrl is the small copy shown in the images list
+function insertImageIntoEditor(editor, { url, name, thumbUrl }, onImagesChange) {
+  const entry = { id: nextId(), name: name || "image", url, thumbUrl: thumbUrl || url, width: "120px", height: "80px" };
+  if (!editor) {
+    onImagesChange((prev) => [...prev, entry]);
+    return;
+  }
+
+  const range = editor.getSelection(true);
+  const index = (range && typeof range.index === "number") ? range.index : editor.getLength();
+  editor.insertEmbed(index, "image", url, "user");
+  editor.setSelection(index + 1, 0);
+
+  // style the inserted DOM image so HTML includes inline style
+  setTimeout(() => {
+    try {
+      const imgEl = imageNearIndex(editor, index + 1);
+      if (imgEl) prepareImageDom(imgEl);
+    } catch (err) { console.warn("could not style inserted image", err); }
+  }, 40);
 
-  const insertImageIntoEditor = (imageUrl, fileName) => {
-    const editor = quillRef?.current?.getEditor();
-    if (!editor) {
-      onImagesChange((prev) => [...prev, { id: Date.now(), name: fileName || "image", url: imageUrl, width: "120px", height: "80px" }]);
-      return;
-    }
+  // push image to images[] with thumbnail defaults (px values); App persists the draft when images change
+  onImagesChange((prev) => [...prev, entry]);
+}
 
-    const range = editor.getSelection(true);
-    const index = (range && typeof range.index === "number") ? range.index : editor.getLength();
-    editor.insertEmbed(index, "image", imageUrl, "user");
-    editor.setSelection(index + 1, 0);
+// the <img> right at or just before a caret index (getLeaf is inclusive at boundaries), or null
+function imageNearIndex(editor, index) {
+  for (const i of [index, Math.max(0, index - 1)]) {
+    try {
+      const [leaf] = editor.getLeaf(i);
+      if (leaf && leaf.domNode && leaf.domNode.tagName === "IMG") return leaf.domNode;
+    } catch { /* index out of range */ }
+  }
+  return null;
+}
 
-    // style the inserted DOM image so HTML includes inline style
-    setTimeout(() => {
-      try {
-        const imgs = editor.root.querySelectorAll("img");
-        const imgEl = imgs[imgs.length - 1];
-        if (imgEl) prepareImageDom(imgEl);
-      } catch (err) { /* ignore */ }
-    }, 40);
-
-    // push image to images[] with thumbnail defaults (px values)
-    onImagesChange((prev) => {
-      const updated = [...prev, { id: Date.now(), name: fileName || "image", url: imageUrl, width: "120px", height: "80px" }];
-      try {
-        localStorage.setItem(DRAFT_KEY, JSON.stringify({ title: (localStorage.getItem("last-title") || ""), content: editor.root.innerHTML || "", tags: [], images: updated }));
-      } catch (_) {}
-      return updated;
+// the value images[] entries are matched by: the stored ref when there is one, else the src
+const imageKeyOf = (imgEl) => imgEl.getAttribute("data-ref") || imgEl.getAttribute("src");
+
+const imageFilesOf = (fileList) => [...(fileList || [])].filter((f) => f.type && f.type.startsWith("image/"));
+
+// caret index under a drop point, or null when it cannot be determined
+function indexFromPoint(editor, x, y) {
+  let node = null;
+  let offset = 0;
+  if (document.caretRangeFromPoint) {
+    const r = document.caretRangeFromPoint(x, y);
+    if (r) { node = r.startContainer; offset = r.startOffset; }
+  } else if (document.caretPositionFromPoint) {
+    const p = document.caretPositionFromPoint(x, y);
+    if (p) { node = p.offsetNode; offset = p.offset; }
+  }
+  if (!node || !editor.root.contains(node)) return null;
+  const blot = Quill.find(node, true);
+  if (!blot || blot === editor.scroll) return null;
+  return editor.getIndex(blot) + (node.nodeType === Node.TEXT_NODE ? offset : 0);
+}
+
+/* ---------- upload queue hook: one file at a time, per-file progress ---------- */
+function useImageUploadQueue({ quillRef, onImagesChange }) {
+  const [queue, setQueue] = useState([]); // [{ id, name, status: "queued" | "processing" | "uploading" | "done" | "error", progress, error }]
+  const chainRef = useRef(Promise.resolve());
+
+  const updateItem = (id, patch) => setQueue((q) => q.map((it) => (it.id === id ? { ...it, ...patch } : it)));
+
+  // resize/recompress in the browser, then hand both blobs to the storage backend
+  // (IndexedDB locally, Cloud Storage on Firebase); progress: 0-60% processing, 60-100% storing
+  const uploadOne = async (item, file) => {
+    try {
+      updateItem(item.id, { status: "processing" });
+      const { image, thumbnail } = await processImageFile(file, { onProgress: (p) => updateItem(item.id, { progress: Math.round(p * 60) }) });
+      updateItem(item.id, { status: "uploading" });
+      const url = await storage.uploadImage(image, { name: item.name, onProgress: (p) => updateItem(item.id, { progress: 60 + Math.round(p * 0.35) }) });
+      const thumbUrl = await storage.uploadImage(thumbnail, { name: `thumb-${item.name}` });
+      insertImageIntoEditor(quillRef?.current?.getEditor(), { url, name: item.name, thumbUrl }, onImagesChange);
+      updateItem(item.id, { status: "done", progress: 100 });
+      setTimeout(() => setQueue((q) => q.filter((it) => it.id !== item.id)), 1500);
+      return true;
+    } catch (err) {
+      console.error("image upload failed:", err);
+      updateItem(item.id, { status: "error", error: err.message || String(err) });
+      return false;
+    }
+  };
+
+  // returns how many image files were queued
+  const addFiles = (fileList) => {
+    const files = imageFilesOf(fileList);
+    if (!files.length) return 0;
+    const items = files.map((file) => ({ id: nextId(), name: file.name || "pasted-image.png", status: "queued", progress: 0 }));
+    setQueue((q) => [...q, ...items]);
+
+    // sequential so images land in the editor in the order they were given
+    const results = [];
+    items.forEach((item, i) => {
+      chainRef.current = chainRef.current.then(() => uploadOne(item, files[i])).then((ok) => { results.push(ok); });
+    });
+    chainRef.current.then(() => {
+      const inserted = results.filter(Boolean).length;
+      if (inserted) toast.success(inserted === 1 ? "Image uploaded and inserted into editor" : `${inserted} images uploaded and inserted into editor`);
+      if (inserted < results.length) toast.error(`${results.length - inserted} image(s) failed to upload`);
     });
+    return files.length;
   };
 
+  const dismiss = (id) => setQueue((q) => q.filter((it) => it.id !== id));
+
+  return { queue, addFiles, dismiss };
+}
+
+/* ---------- Image uploader (file picker / drop zone, queue and thumbnails) ---------- */
+function ImageUploader({ images, onImagesChange, queue, onAddFiles, onDismiss }) {
+  const [dragOver, setDragOver] = useState(false);
+
   const handleFileChange = (e) => {
-    const file = e.target.files?.[0];
-    if (!file) return;
-    setIsUploading(true);
-    setProgress(0);
-
-    const reader = new FileReader();
-    reader.onload = (ev) => {
-      const dataUrl = ev.target.result;
-      let simulated = 0;
-      const timer = setInterval(() => {
-        simulated += 15;
-        setProgress(Math.min(simulated, 100));
-        if (simulated >= 100) {
-          clearInterval(timer);
-          insertImageIntoEditor(dataUrl, file.name);
-          setIsUploading(false);
-          toast.success("Image uploaded and inserted into editor");
-        }
-      }, 120);
-    };
-    reader.onerror = (err) => {
-      console.error("FileReader error:", err);
-      toast.error("Failed to read image file");
-      setIsUploading(false);
-    };
-    reader.readAsDataURL(file);
+    const count = onAddFiles(e.target.files);
+    if (!count && e.target.files?.length) toast.warn("Only image files can be uploaded");
+    e.target.value = "";
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragOver(false);
+    if (!onAddFiles(e.dataTransfer.files)) toast.warn("Drop image files to upload them");
   };
 
   const handleRemove = (id) => onImagesChange(images.filter((i) => i.id !== id));
 
   return (
-    <div className="image-uploader">
+    <div
+      className={dragOver ? "image-uploader drop-active" : "image-uploader"}
+      onDragOver={(e) => { if ([...e.dataTransfer.types].includes("Files")) { e.preventDefault(); setDragOver(true); } }}
+      onDragLeave={() => setDragOver(false)}
+      onDrop={handleDrop}
+    >
       <label>Upload Images</label>
-      <input type="file" accept="image/*" onChange={handleFileChange} />
-      {isUploading && (
-        <div className="progress-wrapper">
-          <div className="progress-bar"><div className="progress-fill" style={{ width: `${progress}%` }} /></div>
-          <span>{progress}%</span>
-        </div>
+      <input type="file" accept="image/*" multiple onChange={handleFileChange} />
+      <small className="upload-hint">Choose several files, drop them here or onto the editor, or paste an image from the clipboard.</small>
+
+      {queue.length > 0 && (
+        <ul className="upload-queue">
+          {queue.map((item) => (
+            <li key={item.id} className={`upload-item ${item.status}`}>
+              <span className="upload-name" title={item.name}>{item.name}</span>
+              {item.status === "error" ? (
+                <>
+                  <span className="upload-error">{item.error}</span>
+                  <button type="button" onClick={() => onDismiss(item.id)}>Dismiss</button>
+                </>
+              ) : (
+                <div className="progress-wrapper">
+                  <div className="progress-bar"><div className="progress-fill" style={{ width: `${item.progress}%` }} /></div>
+                  <span>{item.status === "queued" ? "waiting" : item.status === "done" ? "done" : `${item.progress}%`}</span>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
       )}
 
       {images.length > 0 && (
@@ -297,8 +890,8 @@ function ImageUploader({ images, onImagesChange, quillRef }) {
           {images.map((img) => (
             <div key={img.id} className="image-item">
               {/* use stored width/height for thumbnail display */}
-              <img
-                src={img.url}
+              <StoredImage
+                src={img.thumbUrl || img.url}
                 alt={img.name}
                 style={{
                   width: img.width || "120px",
@@ -309,6 +902,8 @@ function ImageUploader({ images, onImagesChange, quillRef }) {
                 }}
               />
               <span style={{ display: "block", fontSize: 12, color: "#6b7280" }}>{img.name}</span>
+              {img.cover && <span className="tag-chip">cover</span>}
+              {!(img.alt || "").trim() && <span className="image-alt-missing">alt text missing</span>}
               <button type="button" onClick={() => handleRemove(img.id)}>Remove</button>
             </div>
           ))}
@@ -318,124 +913,944 @@ function ImageUploader({ images, onImagesChange, quillRef }) {
   );
 }
 
-/* ---------- Preview pane ---------- */
-function PreviewPane({ title, content, tags, images }) {
-  const sanitizedHtml = useMemo(() => DOMPurify.sanitize(content || ""), [content]);
+/* ---------- Table of contents: links to the anchored headings of rendered post HTML ---------- */
+function TableOfContents({ html }) {
+  const headings = useMemo(() => tableOfContents(html), [html]);
+  if (!headings.length) return null;
+  const top = Math.min(...headings.map((h) => h.level));
+  return (
+    <nav className="post-toc" aria-label="Table of contents">
+      <strong>Contents</strong>
+      <ol>
+        {headings.map((h) => (
+          <li key={h.id} className={`toc-level-${h.level - top + 1}`}><a href={`#${h.id}`}>{h.text}</a></li>
+        ))}
+      </ol>
+    </nav>
+  );
+}
+
+/* ---------- Preview pane ---------- */
+function PreviewPane({ title, content, tags, images, toc }) {
+  const sanitizedHtml = useDisplayHtml(content, images);
+  const cover = coverImageOf(images);
+
+  return (
+    <div className="preview-pane">
+      {cover && <StoredImage className="preview-cover" src={cover.url} alt={cover.alt} />}
+      <h2>{title || "Untitled Post"}</h2>
+
+      {tags && tags.filter(Boolean).length > 0 && (
+        <div className="preview-tags">
+          {tags.filter(Boolean).map((t) => <span key={t} className="tag-chip">{t}</span>)}
+        </div>
+      )}
+
+      {toc && <TableOfContents html={sanitizedHtml} />}
+      <div className="preview-content" dangerouslySetInnerHTML={{ __html: sanitizedHtml }} />
+
+      {images.length > 0 && (
+        <>
+          <h3>Images</h3>
+          <div className="preview-images">
+            {images.map((img) => (
+              <StoredImage key={img.id} src={img.thumbUrl || img.url} alt={img.name} style={{ width: img.width || "140px", height: img.height || "92px", objectFit: "cover", borderRadius: 8, border: "1px solid #eee", margin: 6 }} />
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+/* ---------- SEO & social metadata: slug, description, canonical URL, Open Graph / Twitter card, with live previews ---------- */
+function SeoPanel({ seo, onChange, title, content, images, slug }) {
+  const contentPlain = useMemo(() => plainText(content), [content]);
+  const postUrl = routeUrl(routes.article(slug));
+  const meta = resolveSeo({ title, contentPlain, images, seo }, postUrl);
+  const cover = coverImageOf(images);
+  const canonical = isAbsoluteUrl(meta.canonical) ? new URL(meta.canonical) : null;
+  const set = (key) => (e) => onChange({ ...seo, [key]: e.target.value });
+
+  return (
+    <details className="seo-panel">
+      <summary>SEO &amp; social</summary>
+      <div className="seo-fields">
+        <label>
+          URL slug
+          <input value={seo.slug} placeholder={slugify(title)} onChange={set("slug")} />
+          <span className="field-hint">{routeHref(routes.article(slug))}</span>
+        </label>
+        <label>
+          Meta description <span className={meta.description.length > SEO_DESCRIPTION_MAX ? "field-count over" : "field-count"}>{meta.description.length}/{SEO_DESCRIPTION_MAX}</span>
+          <textarea rows={2} value={seo.description} placeholder={firstSentence(contentPlain, SEO_DESCRIPTION_MAX) || "Defaults to the first sentence of the post"} onChange={set("description")} />
+        </label>
+        <label>
+          Canonical URL
+          <input type="url" value={seo.canonical} placeholder={postUrl} onChange={set("canonical")} />
+          {seo.canonical.trim() && !canonical && <span className="field-hint error">Use a full address starting with https://</span>}
+        </label>
+        <label>
+          Social title
+          <input value={seo.socialTitle} placeholder={meta.title} onChange={set("socialTitle")} />
+        </label>
+        <label>
+          Social description
+          <textarea rows={2} value={seo.socialDescription} placeholder={meta.description} onChange={set("socialDescription")} />
+        </label>
+        <p className="field-hint">The social card uses the cover image{cover ? "" : " (none set: a small card without an image is shown)"}.</p>
+      </div>
+
+      <div className="seo-previews">
+        <div className="serp-preview" aria-label="Search result preview">
+          <div className="serp-url">{canonical ? [canonical.host, ...canonical.pathname.split("/").filter(Boolean)].join(" › ") : meta.canonical}</div>
+          <div className="serp-title">{truncate(meta.title, SEO_TITLE_MAX)}</div>
+          <div className="serp-description">{truncate(meta.description, SEO_DESCRIPTION_MAX)}</div>
+        </div>
+        <div className={`social-preview ${meta.card}`} aria-label="Social card preview">
+          {cover && <StoredImage src={cover.thumbUrl || cover.url} alt={cover.alt} />}
+          <div className="social-body">
+            <span className="social-host">{canonical?.host}</span>
+            <strong>{truncate(meta.socialTitle, 70)}</strong>
+            <span>{truncate(meta.socialDescription, 120)}</span>
+          </div>
+        </div>
+      </div>
+    </details>
+  );
+}
+
+/* ---------- Revision history (list, diff, restore) ---------- */
+const formatStamp = (iso) => new Date(iso).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+
+function HistoryPanel({ post, onRestore, onClose }) {
+  const revisions = useMemo(() => [...(post.revisions || [])].reverse(), [post.revisions]); // newest first
+  const [toId, setToId] = useState(revisions[0]?.id ?? null);
+  const [fromId, setFromId] = useState(revisions[1]?.id ?? revisions[0]?.id ?? null);
+
+  const fromRev = revisions.find((r) => r.id === fromId);
+  const toRev = revisions.find((r) => r.id === toId);
+  const wordDiff = useMemo(() => (fromRev && toRev ? diffWords(fromRev.contentPlain, toRev.contentPlain) : []), [fromRev, toRev]);
+  const tagDiff = fromRev && toRev ? diffTags(fromRev.tags, toRev.tags) : { added: [], removed: [] };
+  const hasChanges = wordDiff.some((op) => op.type !== "same") || tagDiff.added.length || tagDiff.removed.length || fromRev?.title !== toRev?.title;
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal history-modal">
+        <h3>Revision history</h3>
+        {revisions.length === 0 ? <p className="no-posts">This post has no saved revisions yet.</p> : (
+          <div className="history-layout">
+            <ol className="revision-list">
+              {revisions.map((rev, i) => (
+                <li key={rev.id} className={rev.id === toId || rev.id === fromId ? "selected" : ""}>
+                  <div className="revision-head">
+                    <strong>{formatStamp(rev.savedAt)}</strong>
+                    {i === 0 && <span className="tag-chip">latest</span>}
+                  </div>
+                  <span className="revision-title">{rev.title}</span>
+                  <div className="revision-actions">
+                    <label><input type="radio" name="rev-from" checked={rev.id === fromId} onChange={() => setFromId(rev.id)} /> from</label>
+                    <label><input type="radio" name="rev-to" checked={rev.id === toId} onChange={() => setToId(rev.id)} /> to</label>
+                    <button type="button" onClick={() => onRestore(rev)}>Restore</button>
+                  </div>
+                </li>
+              ))}
+            </ol>
+
+            <div className="revision-diff">
+              {fromRev && toRev && fromRev.title !== toRev.title && (
+                <p><strong>Title:</strong> <del>{fromRev.title}</del> <ins>{toRev.title}</ins></p>
+              )}
+              {(tagDiff.added.length > 0 || tagDiff.removed.length > 0) && (
+                <p className="diff-tags">
+                  <strong>Tags:</strong>
+                  {tagDiff.removed.map((t) => <del key={`-${t}`} className="tag-chip">{t}</del>)}
+                  {tagDiff.added.map((t) => <ins key={`+${t}`} className="tag-chip">{t}</ins>)}
+                </p>
+              )}
+              {!hasChanges && <p className="no-posts">No differences between the selected revisions.</p>}
+              <div className="diff-body">
+                {wordDiff.map((op, i) => {
+                  if (op.type === "added") return <ins key={i}>{op.text} </ins>;
+                  if (op.type === "removed") return <del key={i}>{op.text} </del>;
+                  return <span key={i}>{op.text} </span>;
+                })}
+              </div>
+            </div>
+          </div>
+        )}
+        <div className="modal-actions">
+          <button type="button" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ---------- search highlighting ---------- */
+function Highlighted({ parts }) {
+  return parts.map((part, i) => (part.hit ? <mark key={i}>{part.text}</mark> : <React.Fragment key={i}>{part.text}</React.Fragment>));
+}
+
+const monthLabel = (month) => new Date(`${month}-01T00:00:00`).toLocaleDateString(undefined, { month: "long", year: "numeric" });
+
+/* ---------- Posts list view ---------- */
+function PostListView({ posts, searchIndex, slugs, tag, user, commentStats, onSelectPost, onDeletePost, onUnpublishPost, onExportPost, onExportBackup, onImportBackup, onExportSite }) {
+  const [query, setQuery] = useState("");
+  const [scope, setScope] = useState("all"); // "all" | "mine"
+  const [facetTags, setFacetTags] = useState([]);
+  const [facetMonth, setFacetMonth] = useState(null); // "YYYY-MM"
+  const [statusFilter, setStatusFilter] = useState("all"); // "all" | a POST_STATUSES id
+
+  // typing stays responsive; the search runs on the deferred value
+  const deferredQuery = useDeferredValue(query);
+  const hasText = deferredQuery.trim() !== "";
+  const matches = useMemo(
+    () => searchPosts(searchIndex, deferredQuery, { prefixLast: !/\s$/.test(deferredQuery) }),
+    [searchIndex, deferredQuery]
+  );
+  // before:/after: values that are not dates are left out of the search, so say so
+  const invalidFilters = useMemo(() => parseQuery(deferredQuery).invalid, [deferredQuery]);
+  const scoped = matches.filter(({ post }) => {
+    if (tag && !(post.tags || []).some((t) => tagKey(t) === tagKey(tag))) return false;
+    return scope !== "mine" || post.author?.uid === user?.uid;
+  });
+  const statusCounts = scoped.reduce((acc, { post }) => ({ ...acc, [postStatus(post)]: (acc[postStatus(post)] || 0) + 1 }), {});
+  const facets = facetCounts(scoped);
+  // selected facets stay visible (count 0) so they can be cleared after the query changes
+  facetTags.filter((t) => !facets.tags.some(([x]) => tagKey(x) === tagKey(t))).forEach((t) => facets.tags.push([t, 0]));
+  if (facetMonth && !facets.months.some(([m]) => m === facetMonth)) facets.months.push([facetMonth, 0]);
+  const filtered = scoped.filter(({ post }) => {
+    if (statusFilter !== "all" && postStatus(post) !== statusFilter) return false;
+    if (facetTags.some((t) => !(post.tags || []).some((x) => tagKey(x) === tagKey(t)))) return false;
+    return !facetMonth || (post.createdAt || "").startsWith(facetMonth);
+  });
+
+  // tags are matched by tagKey, so "React" and "react" are one facet
+  const hasFacetTag = (t) => facetTags.some((x) => tagKey(x) === tagKey(t));
+  const toggleFacetTag = (t) => setFacetTags((prev) => (hasFacetTag(t) ? prev.filter((x) => tagKey(x) !== tagKey(t)) : [...prev, t]));
+
+  return (
+    <div className="post-list-view">
+      <div className="post-list-header">
+        <h2>
+          {scope === "mine" ? "Your posts" : "All posts"}
+          {tag && <> tagged <span className="tag-chip">{tag}</span> <Link className="clear-filter" to={routes.posts()}>clear</Link></>}
+        </h2>
+        <div className="segmented">
+          <button type="button" className={scope === "mine" ? "active" : ""} onClick={() => setScope("mine")}>My posts</button>
+          <button type="button" className={scope === "all" ? "active" : ""} onClick={() => setScope("all")}>All posts</button>
+        </div>
+      </div>
+      <div className="backup-actions">
+        <span>Backup</span>
+        <button type="button" onClick={() => onExportBackup("json")}>Export JSON</button>
+        <button type="button" onClick={() => onExportBackup("zip")}>Export ZIP</button>
+        <label>
+          Import…
+          <input type="file" accept=".json,.zip,application/json,application/zip" hidden onChange={(e) => { const file = e.target.files?.[0]; e.target.value = ""; if (file) onImportBackup(file); }} />
+        </label>
+        <span>Publish</span>
+        <button type="button" onClick={onExportSite} disabled={!posts.some(isPublished)}>Download static site</button>
+      </div>
+      <div className="segmented status-filter">
+        <button type="button" className={statusFilter === "all" ? "active" : ""} onClick={() => setStatusFilter("all")}>All ({scoped.length})</button>
+        {POST_STATUSES.map((st) => (
+          <button key={st.id} type="button" className={statusFilter === st.id ? "active" : ""} onClick={() => setStatusFilter(st.id)}>{st.label} ({statusCounts[st.id] || 0})</button>
+        ))}
+      </div>
+      <input className="search-input" placeholder='Search… e.g. hooks "state machine" tag:react before:2026-01-01' value={query} onChange={(e)=>setQuery(e.target.value)} />
+      {invalidFilters.length > 0 && (
+        <p className="search-warning" role="status">
+          Ignored {invalidFilters.map((f, i) => <code key={i}>{f}</code>)}: dates must look like <code>2026-01-01</code>
+        </p>
+      )}
+      <div className="search-layout">
+        <aside className="search-facets">
+          <p className="facet-hint">Search syntax: <code>"exact phrase"</code> <code>tag:react</code> <code>before:2026-01-01</code> <code>after:2025-06-01</code></p>
+          {facets.tags.length > 0 && (
+            <div className="facet-group">
+              <h4>Tags</h4>
+              {facets.tags.map(([t, n]) => (
+                <label key={t} className="facet-option">
+                  <input type="checkbox" checked={hasFacetTag(t)} onChange={() => toggleFacetTag(t)} />
+                  <span>{t}</span><em>{n}</em>
+                </label>
+              ))}
+            </div>
+          )}
+          {facets.months.length > 0 && (
+            <div className="facet-group">
+              <h4>Published</h4>
+              {facets.months.map(([m, n]) => (
+                <label key={m} className="facet-option">
+                  <input type="radio" name="facet-month" checked={facetMonth === m} onChange={() => setFacetMonth(m)} />
+                  <span>{monthLabel(m)}</span><em>{n}</em>
+                </label>
+              ))}
+              {facetMonth && <button type="button" className="facet-clear" onClick={() => setFacetMonth(null)}>Any date</button>}
+            </div>
+          )}
+        </aside>
+        {filtered.length === 0 ? <p className="no-posts">No posts found for this query.</p> : (
+          <div className="post-list">
+            {filtered.map(({ post, stems }) => (
+              <div key={post.id} className="post-card" onClick={() => navigate(routes.article(slugs.get(post.id)))}>
+                {post.coverImage && <StoredImage className="post-cover" src={post.coverImage.thumbUrl || post.coverImage.url} alt={post.coverImage.alt} />}
+                <h3><Link to={routes.article(slugs.get(post.id))} onClick={(e) => e.stopPropagation()}><Highlighted parts={highlight(post.title || "Untitled", stems)} /></Link></h3>
+                {post.author && <span className="post-author">by {post.author.uid === user?.uid ? "you" : post.author.name}</span>}
+                {!isPublished(post) && (
+                  <span className={`status-badge status-${postStatus(post)}`}>
+                    {statusLabel(postStatus(post))}
+                    {postStatus(post) === "scheduled" && post.publishAt && ` · ${new Date(post.publishAt).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" })}`}
+                  </span>
+                )}
+                {hasText
+                  ? <p className="post-snippet"><Highlighted parts={snippet(post.contentPlain, stems)} /></p>
+                  : <p className="post-snippet">{post.contentPlain?.slice(0,150)}{post.contentPlain && post.contentPlain.length > 150 ? "..." : ""}</p>}
+                <div className="post-meta">
+                  <span>
+                    {post.createdAt ? new Date(post.createdAt).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short"}) : "Just now"}
+                    {" · "}{post.readingMinutes ?? readingTime(countWords(post.contentPlain))} min read
+                    {post.updatedAt && <em className="post-updated"> · updated {new Date(post.updatedAt).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short"})}</em>}
+                  </span>
+                  <div className="post-tags">{post.tags?.map((t)=><Link key={t} className="tag-chip" to={routes.tag(t)} onClick={(e) => e.stopPropagation()}>{t}</Link>)}</div>
+                </div>
+                <CommentCount counts={commentStats.get(String(post.id))} showPending={canEditPost(post, user)} />
+                <div className="post-card-actions">
+                  <button type="button" onClick={(e) => { e.stopPropagation(); onExportPost(post); }}>Export .md</button>
+                  {canEditPost(post, user) && <>
+                    <button type="button" onClick={(e) => { e.stopPropagation(); onSelectPost(post); }}>Edit</button>
+                    <button type="button" onClick={(e) => { e.stopPropagation(); onUnpublishPost(post); }}>Unpublish to draft</button>
+                    <button type="button" className="danger" onClick={(e) => { e.stopPropagation(); onDeletePost(post); }}>Delete post</button>
+                  </>}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/* ---------- Tag admin: rename, merge or delete a tag across every post ---------- */
+function TagAdminView({ usage, onRetag }) {
+  const [renaming, setRenaming] = useState(null); // { key, value }
+
+  const submitRename = (e) => {
+    e.preventDefault();
+    const entry = usage.find((u) => u.key === renaming.key);
+    if (entry && tagKey(renaming.value) && renaming.value.trim() !== entry.tag) onRetag(entry.key, renaming.value, `Renamed “${entry.tag}”`);
+    setRenaming(null);
+  };
+
+  const mergeInto = (entry, targetKey) => {
+    const target = usage.find((u) => u.key === targetKey);
+    if (!target) return;
+    if (!window.confirm(`Merge “${entry.tag}” (${entry.count}) into “${target.tag}”? Every post tagged “${entry.tag}” will be tagged “${target.tag}” instead.`)) return;
+    onRetag(entry.key, target.tag, `Merged “${entry.tag}” into “${target.tag}”`);
+  };
+
+  const remove = (entry) => {
+    if (!window.confirm(`Remove the tag “${entry.tag}” from ${entry.count} post(s)?`)) return;
+    onRetag(entry.key, null, `Deleted “${entry.tag}”`);
+  };
+
+  return (
+    <div className="post-list-view tag-admin">
+      <div className="post-list-header">
+        <h2>Tags</h2>
+        <span className="post-author">{usage.length} tag(s) across published posts</span>
+      </div>
+      {usage.length === 0 ? <p className="no-posts">No tags yet. Tags added to published posts show up here.</p> : (
+        <table className="tag-table">
+          <thead>
+            <tr><th>Tag</th><th>Posts</th><th>Actions</th></tr>
+          </thead>
+          <tbody>
+            {usage.map((entry) => (
+              <tr key={entry.key}>
+                <td>
+                  {renaming?.key === entry.key ? (
+                    <form className="tag-rename" onSubmit={submitRename}>
+                      <input autoFocus value={renaming.value} onChange={(e) => setRenaming({ key: entry.key, value: e.target.value })} onKeyDown={(e) => { if (e.key === "Escape") setRenaming(null); }} />
+                      <button type="submit">Save</button>
+                      <button type="button" onClick={() => setRenaming(null)}>Cancel</button>
+                    </form>
+                  ) : <Link className="tag-chip" to={routes.tag(entry.tag)}>{entry.tag}</Link>}
+                  {entry.variants.some((v) => v !== entry.tag) && (
+                    <div className="tag-variants">
+                      Also written as {entry.variants.filter((v) => v !== entry.tag).map((v) => `“${v}”`).join(", ")}
+                      <button type="button" onClick={() => onRetag(entry.key, entry.tag, `Normalized “${entry.tag}”`)}>Normalize</button>
+                    </div>
+                  )}
+                </td>
+                <td>{entry.count}</td>
+                <td className="tag-actions">
+                  <button type="button" onClick={() => setRenaming({ key: entry.key, value: entry.tag })}>Rename</button>
+                  <select value="" onChange={(e) => mergeInto(entry, e.target.value)} disabled={usage.length < 2}>
+                    <option value="">Merge into…</option>
+                    {usage.filter((u) => u.key !== entry.key).map((u) => <option key={u.key} value={u.key}>{u.tag} ({u.count})</option>)}
+                  </select>
+                  <button type="button" className="danger" onClick={() => remove(entry)}>Delete</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+/* ---------- Reader view: read-only article at /p/<slug> ---------- */
+function ArticleView({ post, slug, user, onEdit, comments, reactions, onAddComment, onModerateComment, onDeleteComment, onReact }) {
+  const html = useDisplayHtml(post.contentHtml, post.images);
+  const cover = post.coverImage || coverImageOf(post.images || []);
+
+  useEffect(() => {
+    const previous = document.title;
+    document.title = post.title || "Untitled Post";
+    return () => { document.title = previous; };
+  }, [post.title]);
+
+  // description, canonical and social card tags for crawlers and link unfurlers that run scripts
+  useHeadTags(seoHeadTags(resolveSeo(post, routeUrl(routes.article(slug))), { siteName: siteSettings.title }));
+
+  const copyLink = () => {
+    navigator.clipboard.writeText(routeUrl(routes.article(slug)))
+      .then(() => toast.success("Link copied", { autoClose: 1400 }))
+      .catch(() => toast.error("Could not copy the link"));
+  };
+
+  return (
+    <main className="reader-layout">
+      <article className="reader-article">
+        <div className="reader-toolbar">
+          <Link to={routes.posts()}>← All posts</Link>
+          <div className="reader-toolbar-actions">
+            <button type="button" className="preview-toggle" onClick={copyLink}>Copy link</button>
+            {canEditPost(post, user) && <button type="button" className="preview-toggle" onClick={() => onEdit(post)}>Edit</button>}
+          </div>
+        </div>
+        {!isPublished(post) && (
+          <p className={`status-badge status-${postStatus(post)} reader-status`}>
+            {statusLabel(postStatus(post))}
+            {postStatus(post) === "scheduled" && post.publishAt && `: goes live ${new Date(post.publishAt).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" })}`}
+            {" "}· not visible in the static site or feeds yet
+          </p>
+        )}
+        {cover && <StoredImage className="preview-cover" src={cover.url} alt={cover.alt} />}
+        <h1>{post.title || "Untitled Post"}</h1>
+        <div className="reader-meta">
+          {post.author && <span>by {post.author.name}</span>}
+          {post.createdAt && <time dateTime={post.createdAt}>{new Date(post.createdAt).toLocaleDateString(undefined, { dateStyle: "long" })}</time>}
+          {post.updatedAt && <em>updated {new Date(post.updatedAt).toLocaleDateString(undefined, { dateStyle: "long" })}</em>}
+        </div>
+        {post.tags?.length > 0 && (
+          <div className="preview-tags">
+            {post.tags.filter(Boolean).map((t) => <Link key={t} className="tag-chip" to={routes.tag(t)}>{t}</Link>)}
+          </div>
+        )}
+        {post.toc && <TableOfContents html={html} />}
+        <div className="preview-content reader-content" dangerouslySetInnerHTML={{ __html: html }} />
+        <ReactionBar summary={reactionSummary(reactions, post.id, user)} onToggle={(kind) => onReact(post.id, kind)} />
+        <CommentsSection
+          post={post}
+          comments={comments}
+          reactions={reactions}
+          user={user}
+          onAdd={onAddComment}
+          onModerate={onModerateComment}
+          onDelete={onDeleteComment}
+          onReact={onReact}
+        />
+      </article>
+    </main>
+  );
+}
+
+/* ---------- Live collaboration: who else is in the post ---------- */
+const COLLAB_STATUS_LABELS = { connecting: "Connecting to the live session…", connected: "Live", disconnected: "Offline: changes sync when the connection returns" };
+
+function CollabPresence({ status, peers, user }) {
+  return (
+    <div className={`collab-presence collab-${status}`}>
+      <span className="collab-status">{COLLAB_STATUS_LABELS[status]}</span>
+      {status === "connected" && (
+        <div className="collab-avatars">
+          <span className="collab-avatar self" style={{ background: collabColor(user.uid) }} title={`${user.name} (you)`}>{(user.name || "?").charAt(0).toUpperCase()}</span>
+          {peers.map((p) => (
+            <span key={p.clientId} className={p.editing ? "collab-avatar" : "collab-avatar idle"} style={{ background: p.color }} title={p.editing ? `${p.name} is editing` : `${p.name} is viewing`}>
+              {(p.name || "?").charAt(0).toUpperCase()}
+            </span>
+          ))}
+          <span className="collab-count">{peers.length === 0 ? "Only you" : `${peers.length + 1} people editing`}</span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ---------- Comments: threaded replies, reactions, moderation ---------- */
+function CommentCount({ counts, showPending }) {
+  const visible = counts?.visible || 0;
+  const pending = showPending ? counts?.pending || 0 : 0;
+  return (
+    <p className="comment-count">
+      {visible === 1 ? "1 comment" : `${visible} comments`}
+      {pending > 0 && <em> · {pending} awaiting approval</em>}
+    </p>
+  );
+}
+
+function ReactionBar({ summary, onToggle, compact = false }) {
+  return (
+    <div className={compact ? "reaction-bar compact" : "reaction-bar"}>
+      {summary.map((r) => (
+        <button key={r.kind} type="button" className={r.mine ? "reaction active" : "reaction"} aria-pressed={r.mine} onClick={() => onToggle(r.kind)}>
+          {r.label}{r.count > 0 && <span className="reaction-count">{r.count}</span>}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+function CommentForm({ displayName, onDisplayNameChange, onSubmit, onCancel, submitLabel = "Post comment", autoFocus = false }) {
+  const [body, setBody] = useState("");
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+    onSubmit(body);
+    setBody("");
+  };
+
+  return (
+    <form className="comment-form" onSubmit={submit}>
+      <input className="comment-name" value={displayName} onChange={(e) => onDisplayNameChange(e.target.value)} placeholder="Display name" aria-label="Display name" />
+      <textarea value={body} onChange={(e) => setBody(e.target.value)} placeholder="Share your thoughts…" rows={3} autoFocus={autoFocus} aria-label="Comment" />
+      <div className="comment-form-actions">
+        {onCancel && <button type="button" className="secondary" onClick={onCancel}>Cancel</button>}
+        <button type="submit" disabled={!body.trim()}>{submitLabel}</button>
+      </div>
+    </form>
+  );
+}
+
+function CommentItem({ node, depth, thread }) {
+  const { comment, replies } = node;
+  const { user, canModerate, reactions, replyTo, setReplyTo, displayName, setDisplayName, onAdd, onModerate, onDelete, onReact } = thread;
+  const status = commentStatus(comment);
+
+  return (
+    <li className={`comment comment-${status}`}>
+      {status === "deleted" ? <p className="comment-removed">Comment deleted</p> : <>
+        <div className="comment-header">
+          <strong>{comment.author?.name || "Anonymous"}</strong>
+          <time dateTime={comment.createdAt}>{formatStamp(comment.createdAt)}</time>
+          {status === "pending" && <span className="status-badge status-review">Awaiting approval</span>}
+          {status === "hidden" && <span className="status-badge">Hidden</span>}
+        </div>
+        <p className="comment-body">{comment.body}</p>
+        <div className="comment-actions">
+          <ReactionBar compact summary={reactionSummary(reactions, comment.id, user)} onToggle={(kind) => onReact(comment.id, kind)} />
+          <button type="button" className="link-button" onClick={() => setReplyTo(replyTo === comment.id ? null : comment.id)}>Reply</button>
+          {canModerate && status !== "approved" && <button type="button" className="link-button" onClick={() => onModerate(comment, "approved")}>Approve</button>}
+          {canModerate && status !== "hidden" && <button type="button" className="link-button" onClick={() => onModerate(comment, "hidden")}>Hide</button>}
+          {canDeleteComment(comment, { user, canModerate }) && <button type="button" className="link-button danger" onClick={() => onDelete(comment)}>Delete</button>}
+        </div>
+      </>}
+      {replyTo === comment.id && (
+        <CommentForm
+          autoFocus
+          submitLabel="Reply"
+          displayName={displayName}
+          onDisplayNameChange={setDisplayName}
+          onCancel={() => setReplyTo(null)}
+          onSubmit={(body) => { onAdd({ parentId: comment.id, displayName, body }); setReplyTo(null); }}
+        />
+      )}
+      {replies.length > 0 && (
+        // past MAX_THREAD_DEPTH replies stop indenting further
+        <ul className={depth + 1 < MAX_THREAD_DEPTH ? "comment-list comment-replies" : "comment-list"}>
+          {replies.map((child) => <CommentItem key={child.comment.id} node={child} depth={depth + 1} thread={thread} />)}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+function CommentsSection({ post, comments, reactions, user, onAdd, onModerate, onDelete, onReact }) {
+  const [replyTo, setReplyTo] = useState(null); // id of the comment being answered
+  const [displayName, setDisplayName] = useState(user.name || "");
+  const canModerate = canEditPost(post, user);
+  const threads = buildThreads(comments, { user, canModerate });
+  const approved = comments.filter((c) => commentStatus(c) === "approved").length;
+  const pending = comments.filter((c) => commentStatus(c) === "pending").length;
+
+  const thread = { user, canModerate, reactions, replyTo, setReplyTo, displayName, setDisplayName, onAdd, onModerate, onDelete, onReact };
+
+  return (
+    <section className="comments" aria-label="Comments">
+      <h2>{approved === 1 ? "1 comment" : `${approved} comments`}</h2>
+      {canModerate && pending > 0 && <p className="comments-note">{pending} awaiting your approval</p>}
+      <CommentForm displayName={displayName} onDisplayNameChange={setDisplayName} onSubmit={(body) => onAdd({ parentId: null, displayName, body })} />
+      {threads.length === 0 ? <p className="comments-note">No comments yet. Start the conversation.</p> : (
+        <ul className="comment-list">
+          {threads.map((node) => <CommentItem key={node.comment.id} node={node} depth={0} thread={thread} />)}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+/* ---------- Backup import (conflicts: merge or overwrite) ---------- */
+function BackupImportDialog({ pending, onApply, onClose }) {
+  const { fileName, backup, conflicts } = pending;
+  const conflictCount = conflicts.posts.length + conflicts.drafts.length;
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal backup-modal">
+        <h3>Import {fileName}</h3>
+        <p>
+          {backup.posts.length} post(s), {backup.drafts.length} draft(s) and {backup.images.size} image(s)
+          {backup.exportedAt && `, exported ${formatStamp(backup.exportedAt)}`}.
+        </p>
+        {conflictCount === 0 ? <p>Nothing in this backup conflicts with your library.</p> : <>
+          <p className="backup-conflict-note">{conflictCount} item(s) already exist in your library (same id):</p>
+          <ul className="backup-conflicts">
+            {conflicts.posts.map((p) => <li key={`post-${p.id}`}>Post “{p.title || "Untitled"}” <span>#{p.id}</span></li>)}
+            {conflicts.drafts.map((d) => <li key={`draft-${d.id}`}>Draft “{d.title || "Untitled draft"}” <span>#{d.id}</span></li>)}
+          </ul>
+          <p className="backup-conflict-note">Merge adds everything else and keeps your copies; overwrite replaces them with the backup’s.</p>
+        </>}
+        <div className="modal-actions">
+          <button type="button" onClick={onClose}>Cancel</button>
+          {conflictCount > 0 && <button type="button" className="danger" onClick={() => onApply("overwrite")}>Overwrite</button>}
+          <button type="button" onClick={() => onApply("merge")}>{conflictCount > 0 ? "Merge" : "Import"}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ---------- Offline sync conflict ---------- */
+function SyncConflictDialog({ conflict, remaining, onResolve }) {
+  const { local, server } = conflict;
+  const version = (post, label) => (
+    <div className="sync-version">
+      <h4>{label}</h4>
+      <strong>{post.title || "Untitled"}</strong>
+      <span className="sync-stamp">{formatStamp(post.updatedAt || post.createdAt)}{post.author && ` · ${post.author.name}`}</span>
+      <p>{truncate(post.contentPlain, 220)}</p>
+    </div>
+  );
 
   return (
-    <div className="preview-pane">
-      <h2>{title || "Untitled Post"}</h2>
-
-      {tags && tags.filter(Boolean).length > 0 && (
-        <div className="preview-tags">
-          {tags.filter(Boolean).map((t) => <span key={t} className="tag-chip">{t}</span>)}
+    <div className="modal-backdrop">
+      <div className="modal sync-conflict-modal" role="dialog" aria-label="Sync conflict">
+        <h3>“{local.title || "Untitled"}” changed while you were offline</h3>
+        <p>
+          {server ? "Someone saved this post on the server after you last loaded it." : "This post was deleted on the server."}
+          {" "}Your offline save has not been sent.{remaining > 0 && ` ${remaining} more conflict(s) after this one.`}
+        </p>
+        <div className="sync-versions">
+          {version(local, "Your offline version")}
+          {server ? version(server, "Server version") : <div className="sync-version"><h4>Server version</h4><p>Deleted</p></div>}
         </div>
-      )}
-
-      <div className="preview-content" dangerouslySetInnerHTML={{ __html: sanitizedHtml }} />
-
-      {images.length > 0 && (
-        <>
-          <h3>Images</h3>
-          <div className="preview-images">
-            {images.map((img) => (
-              <img key={img.id} src={img.url} alt={img.name} style={{ width: img.width || "140px", height: img.height || "92px", objectFit: "cover", borderRadius: 8, border: "1px solid #eee", margin: 6 }} />
-            ))}
-          </div>
-        </>
-      )}
+        <div className="modal-actions">
+          <button type="button" className="secondary" onClick={() => onResolve("server")}>{server ? "Keep the server version" : "Leave it deleted"}</button>
+          {server && <button type="button" className="secondary" onClick={() => onResolve("both")}>Keep both</button>}
+          <button type="button" onClick={() => onResolve("mine")}>{server ? "Keep mine" : "Restore mine"}</button>
+        </div>
+      </div>
     </div>
   );
 }
 
-/* ---------- Posts list view ---------- */
-function PostListView({ posts, onSelectPost }) {
-  const [query, setQuery] = useState("");
-  const filtered = posts.filter((post) => {
-    const q = query.trim().toLowerCase();
-    if (!q) return true;
-    const inTitle = (post.title || "").toLowerCase().includes(q);
-    const inContent = (post.contentPlain || "").toLowerCase().includes(q);
-    return inTitle || inContent;
-  });
+/* ---------- Drafts view ---------- */
+function DraftsView({ drafts, currentDraftId, posts, onResume, onDiscard }) {
+  const snippet = (html) => {
+    const div = document.createElement("div");
+    div.innerHTML = html || "";
+    const text = (div.textContent || "").trim();
+    return text.length > 150 ? `${text.slice(0, 150)}...` : text;
+  };
 
   return (
     <div className="post-list-view">
-      <h2>Your published posts</h2>
-      <input className="search-input" placeholder="Search by title or content..." value={query} onChange={(e)=>setQuery(e.target.value)} />
-      {filtered.length === 0 ? <p className="no-posts">No posts found for this query.</p> : (
+      <h2>Your drafts</h2>
+      {drafts.length === 0 ? <p className="no-posts">No drafts yet. Anything you write is saved here automatically.</p> : (
         <div className="post-list">
-          {filtered.map((post) => (
-            <div key={post.id} className="post-card" onClick={() => onSelectPost(post)}>
-              <h3>{post.title || "Untitled"}</h3>
-              <p className="post-snippet">{post.contentPlain?.slice(0,150)}{post.contentPlain && post.contentPlain.length > 150 ? "..." : ""}</p>
-              <div className="post-meta">
-                <span>{post.createdAt ? new Date(post.createdAt).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short"}) : "Just now"}</span>
-                <div className="post-tags">{post.tags?.map((t)=><span key={t} className="tag-chip">{t}</span>)}</div>
+          {drafts.map((draft) => {
+            const editsOf = draft.editingId != null ? posts.find((p) => p.id === draft.editingId) : null;
+            return (
+              <div key={draft.id} className="post-card" onClick={() => onResume(draft)}>
+                <h3>{draft.title || "Untitled draft"}</h3>
+                <p className="post-snippet">{snippet(draft.content)}</p>
+                <div className="post-meta">
+                  <span>Modified {draft.updatedAt ? formatStamp(draft.updatedAt) : "just now"}</span>
+                  <div className="post-tags">
+                    {draft.id === currentDraftId && <span className="tag-chip">open in editor</span>}
+                    {editsOf && <span className="tag-chip">edits to “{editsOf.title}”</span>}
+                  </div>
+                </div>
+                <div className="post-card-actions">
+                  <button type="button" onClick={(e) => { e.stopPropagation(); onResume(draft); }}>Resume</button>
+                  <button type="button" className="danger" onClick={(e) => { e.stopPropagation(); onDiscard(draft); }}>Discard</button>
+                </div>
               </div>
-            </div>
-          ))}
+            );
+          })}
         </div>
       )}
     </div>
   );
 }
 
-/* ---------- Main App ---------- */
-export default function App() {
-  const [view, setView] = useState("editor"); // "editor" | "posts"
+/* ---------- Sign-in screen ---------- */
+function LoginScreen() {
+  const [mode, setMode] = useState("signin"); // "signin" | "signup"
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [displayName, setDisplayName] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!email.trim()) { toast.warn("Enter your email"); return; }
+    if (auth.requiresPassword && !password) { toast.warn("Enter your password"); return; }
+    setBusy(true);
+    try {
+      const credentials = { email, password, displayName };
+      if (mode === "signup" || !auth.requiresPassword) await auth.signUp(credentials);
+      else await auth.signIn(credentials);
+    } catch (err) {
+      console.error("sign-in failed", err);
+      toast.error(err.message || "Sign-in failed");
+      setBusy(false);
+    }
+  };
+
+  const showName = mode === "signup" || !auth.requiresPassword;
+
+  return (
+    <div className="login-wrapper">
+      <div className="login-card">
+        <div className="login-logo-circle">IB</div>
+        <h1>{mode === "signup" ? "Create your account" : "Sign in"}</h1>
+        <p className="login-subtitle">
+          {auth.requiresPassword ? "Posts you publish are signed with your name." : "Local mode: pick the name your posts are published under on this browser."}
+        </p>
+        <form className="login-form" onSubmit={handleSubmit}>
+          {showName && (
+            <div className="field">
+              <label htmlFor="login-name">Display name</label>
+              <input id="login-name" value={displayName} onChange={(e) => setDisplayName(e.target.value)} placeholder="Ada Lovelace" />
+            </div>
+          )}
+          <div className="field">
+            <label htmlFor="login-email">Email</label>
+            <input id="login-email" type="email" autoFocus value={email} onChange={(e) => setEmail(e.target.value)} placeholder="you@example.com" />
+          </div>
+          {auth.requiresPassword && (
+            <div className="field">
+              <label htmlFor="login-password">Password</label>
+              <input id="login-password" type="password" value={password} onChange={(e) => setPassword(e.target.value)} />
+            </div>
+          )}
+          <button type="submit" className="login-button" disabled={busy}>{busy ? "Please wait…" : mode === "signup" ? "Create account" : "Sign in"}</button>
+        </form>
+        {auth.requiresPassword && (
+          <p className="login-footer">
+            {mode === "signup" ? "Already have an account? " : "New here? "}
+            <button type="button" className="logout-link" onClick={() => setMode(mode === "signup" ? "signin" : "signup")}>
+              {mode === "signup" ? "Sign in" : "Create an account"}
+            </button>
+          </p>
+        )}
+      </div>
+      <div className="login-hero">
+        <h2>Write together, publish with confidence.</h2>
+        <p>Every post records its author, so only you can edit or delete what you wrote while the whole team shares one library.</p>
+      </div>
+    </div>
+  );
+}
+
+/* ---------- Markdown export ---------- */
+// stored image refs are inlined as data URLs so the file is self-contained
+async function exportPostMarkdown(post) {
+  const contentHtml = sanitizeHtml(applyImageMeta(post.contentHtml || "", post.images || []));
+  const markdown = await inlineImageRefs(postToMarkdown({ ...post, contentHtml }));
+  downloadText(markdown, `${slugify(post.title)}.md`, "text/markdown");
+}
+
+/* ---------- Main App (signed-in) ---------- */
+function BlogApp({ user }) {
+  // the URL decides the screen: "editor" | "posts" | "drafts" | "article" | "tag" | "tagAdmin" | "notFound"
+  const route = matchRoute(usePath());
+  const view = route.name;
+  const setView = (name) => navigate(routes[name]());
   const [isPreview, setIsPreview] = useState(false);
+  const [editorMode, setEditorMode] = useState("rich"); // "rich" | "markdown"
+  const [markdownEdit, setMarkdownEdit] = useState({ source: "", html: null }); // last Markdown typed + the HTML it produced
 
   const [title, setTitle] = useState("");
   const [content, setContent] = useState("");
   const [tags, setTags] = useState([]);
   const [images, setImages] = useState([]);
+  const [publishStatus, setPublishStatus] = useState("published"); // what the publish button saves the post as
+  const [publishAt, setPublishAt] = useState(null); // ISO time for "scheduled"
+  const [toc, setToc] = useState(false); // show a table of contents above the post
+  const [seo, setSeo] = useState(EDITOR_SEO); // slug and search/social overrides; empty = defaults
+  const [createdAt, setCreatedAt] = useState(null); // post date from an imported file or an unpublished post; null = first publish
 
   const [posts, setPosts] = useState([]);
+  const [postsLoaded, setPostsLoaded] = useState(false);
+  const [editingId, setEditingId] = useState(null); // id of the published post loaded in the editor
+  const [drafts, setDrafts] = useState([]);
+  const [draftId, setDraftId] = useState(null); // id of the drafts[] entry the editor is writing to
+  const [historyOpen, setHistoryOpen] = useState(false);
   const [linkModalOpen, setLinkModalOpen] = useState(false);
+  const [embedModalOpen, setEmbedModalOpen] = useState(false);
+  const [tableEdit, setTableEdit] = useState(null); // { index: editor index of the table being edited (null = insert), table }
+  const [pendingImport, setPendingImport] = useState(null); // { fileName, backup, conflicts } awaiting merge/overwrite
+  const online = useOnline();
+  const [syncConflicts, setSyncConflicts] = useState([]); // [{ local, server }] offline saves the server copy moved on from
+  const [comments, setComments] = useState([]); // every post's comments, so the list can show counts
+  const [reactions, setReactions] = useState([]);
+  const [shortcutBindings, setShortcutBindings] = useState(loadBindings); // { commandId: "Mod+B" | null }
+  const [paletteOpen, setPaletteOpen] = useState(false);
+  const [cheatSheetOpen, setCheatSheetOpen] = useState(false);
+  const [checklist, setChecklist] = useState(null); // runPublishChecks() results on screen
 
   const quillRef = useRef(null);
   const lastSelectionRef = useRef(null);
 
-  // load draft
+  /* ----- drafts: many entries, newest first, persisted through the storage backend ----- */
+  const loadDraftIntoEditor = (draft) => {
+    setTitle(draft.title || "");
+    setContent(migrateSizeHeadings(draft.content));
+    setTags(Array.isArray(draft.tags) ? draft.tags : []);
+    setImages(Array.isArray(draft.images) ? draft.images : []);
+    setEditingId(draft.editingId ?? null);
+    setPublishStatus(draft.status || "published");
+    setPublishAt(draft.publishAt || null);
+    setToc(!!draft.toc);
+    setSeo({ ...EDITOR_SEO, ...draft.seo });
+    setCreatedAt(draft.createdAt ?? null);
+    setDraftId(draft.id);
+  };
+
+  // write fields into a drafts[] entry (the editor's current one by default) and make it current
+  const upsertDraft = (fields, id = draftId ?? nextId()) => {
+    setDraftId(id);
+    // stored HTML keeps image refs, not the editor's object URLs
+    const entry = { title: fields.title, content: dehydrateImageRefs(fields.content), tags: fields.tags, images: fields.images, editingId: fields.editingId ?? null, status: fields.status ?? "published", publishAt: fields.publishAt ?? null, toc: !!fields.toc, seo: fields.seo ?? null, createdAt: fields.createdAt ?? null, ownerUid: user.uid };
+    const existing = drafts.find((d) => d.id === id);
+    // unchanged drafts keep their last-modified time
+    if (existing && draftFingerprint(existing) === draftFingerprint(entry)) return;
+    const saved = { id, ...entry, updatedAt: new Date().toISOString() };
+    setDrafts((prev) => [saved, ...prev.filter((d) => d.id !== id)]);
+    storage.saveDraft(saved).catch((err) => { console.error(err); toast.error("Failed to save draft"); });
+  };
+
+  const removeDraft = (id) => {
+    if (id == null) return;
+    setDrafts((prev) => prev.filter((d) => d.id !== id));
+    storage.deleteDraft(id).catch((err) => console.error("delete draft failed", err));
+  };
+
+  // load drafts and resume the most recent one
   useEffect(() => {
-    const saved = localStorage.getItem(DRAFT_KEY);
-    if (!saved) return;
-    try {
-      const parsed = JSON.parse(saved);
-      setTitle(parsed.title || "");
-      setContent(parsed.content || "");
-      setTags(Array.isArray(parsed.tags) ? parsed.tags : []);
-      setImages(Array.isArray(parsed.images) ? parsed.images : []);
-    } catch (err) {
-      console.error("restore draft failed", err);
-      localStorage.removeItem(DRAFT_KEY);
-    }
-  }, []);
+    let cancelled = false;
+    storage.loadDrafts({ ownerUid: user.uid })
+      .then((list) => {
+        if (cancelled) return;
+        const migrated = migrateAll(list, "content");
+        setDrafts(migrated);
+        if (migrated[0]) loadDraftIntoEditor(migrated[0]);
+        migrated.filter((d, i) => d !== list[i]).forEach((d) => storage.saveDraft(d).catch((err) => console.error("migrate draft failed", err)));
+      })
+      .catch((err) => { console.error("load drafts failed", err); toast.error("Could not load drafts"); });
+    return () => { cancelled = true; };
+  }, [user.uid]);
 
   // load posts
   useEffect(() => {
-    const saved = localStorage.getItem(POSTS_KEY);
-    if (!saved) return;
-    try {
-      const parsed = JSON.parse(saved);
-      if (Array.isArray(parsed)) setPosts(parsed);
-    } catch (err) { console.error("load posts failed", err); localStorage.removeItem(POSTS_KEY); }
-  }, []);
-
-  // persist posts
+    let cancelled = false;
+    storage.loadPosts()
+      .then((list) => {
+        if (cancelled) return;
+        const migrated = migrateAll(list, "contentHtml");
+        setPosts(migrated);
+        // only the author's copies can be written back; other posts are migrated again on each load
+        migrated.filter((p, i) => p !== list[i] && canEditPost(p, user)).forEach((p) => storage.savePost(p, { baseVersion: postVersion(p) }).catch((err) => console.error("migrate post failed", err)));
+      })
+      .catch((err) => { console.error("load posts failed", err); toast.error("Could not load posts"); })
+      .finally(() => { if (!cancelled) setPostsLoaded(true); });
+    return () => { cancelled = true; };
+  }, [user]);
+
+  // saves queued while offline are sent once the posts are loaded and whenever the connection comes back
+  useEffect(() => {
+    if (!online || !postsLoaded) return;
+    syncQueuedPosts()
+      .then(({ synced, conflicts }) => {
+        if (synced.length) toast.success(`Synced ${synced.length} post(s) saved while offline`);
+        setSyncConflicts(conflicts);
+      })
+      .catch((err) => { console.error("sync failed", err); toast.error("Could not sync posts saved while offline"); });
+  }, [online, postsLoaded]);
+
+  // load comments and reactions
   useEffect(() => {
-    try { localStorage.setItem(POSTS_KEY, JSON.stringify(posts)); } catch (err) { console.error(err); }
-  }, [posts]);
+    let cancelled = false;
+    Promise.all([storage.loadComments(), storage.loadReactions()])
+      .then(([commentList, reactionList]) => {
+        if (cancelled) return;
+        setComments(commentList);
+        setReactions(reactionList);
+      })
+      .catch((err) => { console.error("load comments failed", err); toast.error("Could not load comments"); });
+    return () => { cancelled = true; };
+  }, []);
 
   // autosave drafts
-  useAutoSaveDraft({ title, content, tags, images }, 30000);
+  useAutoSaveDraft({ title, content, tags, images, editingId, status: publishStatus, publishAt, toc, seo, createdAt }, upsertDraft, 30000);
 
   // persist draft immediately when images changes (so uploads don't vanish)
   useEffect(() => {
-    try { localStorage.setItem(DRAFT_KEY, JSON.stringify({ title, content, tags, images })); } catch (_) {}
+    const current = { title, content, tags, images, editingId, status: publishStatus, publishAt, toc, seo, createdAt };
+    if (hasDraftContent(current)) upsertDraft(current);
   }, [images]);
 
+  // images[] entry of the image under the caret (or last clicked), edited in the image properties panel
+  const [activeImageKey, setActiveImageKey] = useState(null);
+  const selectedImage = activeImageKey ? images.find((img) => img.url === activeImageKey) || null : null;
+
+  const handleUpdateImage = (id, patch) => {
+    // only one image can be the cover
+    setImages((prev) => prev.map((img) => (img.id === id ? { ...img, ...patch } : patch.cover ? { ...img, cover: false } : img)));
+    if (patch.alt !== undefined) {
+      // mirror alt text into the editor DOM so the stored HTML carries it as well
+      const target = images.find((img) => img.id === id);
+      const editor = quillRef.current?.getEditor();
+      editor?.root.querySelectorAll("img").forEach((el) => {
+        if (target && imageKeyOf(el) === target.url) el.setAttribute("alt", patch.alt);
+      });
+    }
+  };
+
+  // image uploads from the picker, drops and pastes share one queue
+  const uploads = useImageUploadQueue({ quillRef, onImagesChange: setImages });
+  const addImageFilesRef = useRef(uploads.addFiles);
+  useEffect(() => { addImageFilesRef.current = uploads.addFiles; });
+
   // keep last selection so modal insertion and resizing work after focus loss
   useEffect(() => {
     const editor = quillRef.current?.getEditor();
@@ -452,16 +1867,36 @@ export default function App() {
     const handleSelectionChange = (range) => {
       if (range) lastSelectionRef.current = { index: range.index, length: range.length };
       else lastSelectionRef.current = null;
+      // losing focus (range === null) keeps the image panel open so its inputs can be edited
+      if (range) {
+        const imgEl = imageNearIndex(editor, range.index);
+        setActiveImageKey(imgEl ? imageKeyOf(imgEl) : null);
+      }
     };
 
     const onTextChange = () => snapshotSelection();
-    const onClick = () => snapshotSelection();
+    const onClick = (e) => {
+      snapshotSelection();
+      if (e.target && e.target.tagName === "IMG") setActiveImageKey(imageKeyOf(e.target));
+      // tables are edited in the table dialog
+      const tableEl = e.target?.closest?.("table.post-table");
+      const blot = tableEl && Quill.find(tableEl);
+      if (blot) setTableEdit({ index: editor.getIndex(blot), table: blot.value().table });
+    };
     const onKeyUp = () => snapshotSelection();
 
     const onPaste = (e) => {
       if (!e.clipboardData) return;
+      // pasted image files (screenshots, copied images) go through the upload pipeline
+      const pastedImages = imageFilesOf(e.clipboardData.files);
+      if (pastedImages.length) {
+        e.preventDefault();
+        addImageFilesRef.current(pastedImages);
+        return;
+      }
       const text = e.clipboardData.getData("text");
-      if (!text) return;
+      const html = e.clipboardData.getData("text/html");
+      if (!text && !html) return;
       e.preventDefault();
       let sel = null;
       try { sel = editor.getSelection(); } catch {}
@@ -469,10 +1904,29 @@ export default function App() {
       const insertIndex = (sel && typeof sel.index === "number") ? sel.index
         : (saved && typeof saved.index === "number") ? saved.index
         : Math.max(0, editor.getLength() - 1);
+      if (sel?.length) editor.deleteText(sel.index, sel.length, "user");
+
+      // rich pastes keep their structure minus the Word / Google Docs junk; code blocks always take plain text
+      const cleaned = html && !editor.getFormat(insertIndex)["code-block"] ? cleanPastedHtml(html) : "";
+      const before = editor.getLength();
+      if (cleaned) editor.clipboard.dangerouslyPasteHTML(insertIndex, cleaned, "user");
+      else editor.insertText(insertIndex, text, "user");
+      const end = insertIndex + editor.getLength() - before;
+      editor.setSelection(end, 0, "user");
+      lastSelectionRef.current = { index: end, length: 0 };
+    };
 
-      editor.insertText(insertIndex, text, "user");
-      editor.setSelection(insertIndex + text.length, 0, "user");
-      lastSelectionRef.current = { index: insertIndex + text.length, length: 0 };
+    // image files dropped onto the editor are inserted where they were dropped
+    const onDragOver = (e) => {
+      if (e.dataTransfer && [...e.dataTransfer.types].includes("Files")) e.preventDefault();
+    };
+    const onDrop = (e) => {
+      const dropped = imageFilesOf(e.dataTransfer?.files);
+      if (!dropped.length) return;
+      e.preventDefault();
+      const index = indexFromPoint(editor, e.clientX, e.clientY);
+      if (index != null) editor.setSelection(index, 0, "user");
+      addImageFilesRef.current(dropped);
     };
 
     try { editor.on("selection-change", handleSelectionChange); } catch {}
@@ -481,6 +1935,8 @@ export default function App() {
       editor.root.addEventListener("click", onClick);
       editor.root.addEventListener("keyup", onKeyUp);
       editor.root.addEventListener("paste", onPaste);
+      editor.root.addEventListener("dragover", onDragOver);
+      editor.root.addEventListener("drop", onDrop);
     }
 
     snapshotSelection();
@@ -493,45 +1949,51 @@ export default function App() {
           editor.root.removeEventListener("click", onClick);
           editor.root.removeEventListener("keyup", onKeyUp);
           editor.root.removeEventListener("paste", onPaste);
+          editor.root.removeEventListener("dragover", onDragOver);
+          editor.root.removeEventListener("drop", onDrop);
         }
       } catch {}
     };
   }, [quillRef.current]);
 
-  const quillModules = { toolbar: false, imageResize: {} };
-  const quillFormats = ["header", "bold", "italic", "underline", "strike", "size", "list", "bullet", "link", "image"];
+  const quillModules = { toolbar: false, imageResize: {}, cursors: { transformOnTextChange: true } };
+  const quillFormats = ["header", "bold", "italic", "underline", "strike", "size", "list", "bullet", "link", "image", "blockquote", "code", "code-block", "video", "table", "divider"];
 
   const handleFormat = (format, value) => {
     const editor = quillRef.current?.getEditor();
     if (!editor) return;
-    const range = editor.getSelection();
+    // toolbar clicks keep the document selection; shortcuts and the palette may not, so fall back to the editor's last one
+    const range = editor.getSelection() || editor.getSelection(true);
 
+    // block formats apply to the caret's line(s); the same list again turns it back into paragraphs
     if (format === "list") {
-      if (!range || range.length === 0) { toast.info("Select the text you want to turn into a list."); return; }
-      editor.format("list", value);
+      editor.format("list", editor.getFormat(range).list === value ? false : value, "user");
       return;
     }
 
-    if (format === "size") {
-      if (!range || range.length === 0) { toast.info("Select text to apply the heading size."); return; }
-      if (value === false) editor.formatText(range.index, range.length, "size", false);
-      else editor.formatText(range.index, range.length, "size", value);
-      editor.setSelection(range.index + range.length, 0);
-      editor.format("size", false);
+    // headings drop any leftover font size so the level decides the look
+    if (format === "header") {
+      editor.format("header", value, "user");
+      if (value) editor.getLines(range.index, range.length).forEach((line) => editor.formatText(editor.getIndex(line), line.length(), "size", false, "user"));
       return;
     }
 
-    if (["bold","italic","underline","strike"].includes(format)) {
-      if (!range || range.length === 0) { toast.info("Select text to apply formatting."); return; }
-      const currentFormats = editor.getFormat(range.index, range.length);
-      const currentlyEnabled = !!currentFormats[format];
+    if (format === "blockquote" || format === "code-block") {
+      const current = editor.getFormat(range.index, range.length)[format];
+      editor.format(format, format === "blockquote" ? !current : value, "user");
+      return;
+    }
+
+    if (["bold","italic","underline","strike","code"].includes(format)) {
+      const currentlyEnabled = !!editor.getFormat(range)[format];
+      // no selection: toggle the format for what is typed next
+      if (range.length === 0) { editor.format(format, !currentlyEnabled, "user"); return; }
       editor.formatText(range.index, range.length, format, !currentlyEnabled);
       editor.setSelection(range.index + range.length, 0);
       editor.format(format, false);
       return;
     }
 
-    if (!range) return;
     editor.format(format, value === undefined ? true : value);
   };
 
@@ -544,11 +2006,48 @@ export default function App() {
     setLinkModalOpen(true);
   };
 
+  // index for modal insertions: the live selection, else the one saved before focus moved to the modal
+  const insertionIndex = (editor) => {
+    const range = editor.getSelection();
+    const saved = lastSelectionRef.current;
+    if (range) return range.index;
+    if (saved) return saved.index;
+    return Math.max(0, editor.getLength() - 1);
+  };
+
+  const insertBlockEmbed = (type, value, index) => {
+    const editor = quillRef.current?.getEditor();
+    if (!editor) return;
+    const at = index ?? insertionIndex(editor);
+    editor.insertEmbed(at, type, value, "user");
+    editor.setSelection(at + 1, 0, "user");
+  };
+
+  const handleInsertBlock = (kind) => {
+    const sel = quillRef.current?.getEditor()?.getSelection();
+    if (sel) lastSelectionRef.current = { index: sel.index, length: sel.length };
+    if (kind === "divider") insertBlockEmbed("divider", true);
+    else if (kind === "video") setEmbedModalOpen(true);
+    else if (kind === "table") setTableEdit({ index: null, table: blankTable() });
+  };
+
+  // an edited table replaces the old embed in place
+  const handleSaveTable = (table) => {
+    const editor = quillRef.current?.getEditor();
+    if (!editor || !tableEdit) return;
+    if (tableEdit.index != null) editor.deleteText(tableEdit.index, 1, "user");
+    insertBlockEmbed("table", table, tableEdit.index);
+  };
+
+  const handleRemoveTable = () => {
+    const editor = quillRef.current?.getEditor();
+    if (editor && tableEdit?.index != null) editor.deleteText(tableEdit.index, 1, "user");
+  };
+
   const handleInsertLink = (url) => {
     const editor = quillRef.current?.getEditor();
     if (!editor) return;
-    let finalUrl = url;
-    if (!finalUrl.startsWith("http://") && !finalUrl.startsWith("https://")) finalUrl = "https://" + finalUrl;
+    const finalUrl = url; // already checked by LinkModal
 
     const saved = lastSelectionRef.current;
     let range = null;
@@ -600,20 +2099,7 @@ export default function App() {
         return;
       }
 
-      // get leaf at selection index
-      let leaf;
-      try { [leaf] = editor.getLeaf(sel.index); } catch {}
-      const node = leaf && leaf.domNode ? leaf.domNode : null;
-
-      let imgEl = null;
-      if (node && node.tagName === "IMG") imgEl = node;
-      else {
-        try {
-          const prevLeafIndex = Math.max(0, sel.index - 1);
-          const [prevLeaf] = editor.getLeaf(prevLeafIndex) || [];
-          if (prevLeaf && prevLeaf.domNode && prevLeaf.domNode.tagName === "IMG") imgEl = prevLeaf.domNode;
-        } catch {}
-      }
+      const imgEl = imageNearIndex(editor, sel.index);
 
       if (!imgEl) {
         toast.warn("Put your cursor inside the image (or click the image) before applying size.");
@@ -642,7 +2128,7 @@ export default function App() {
           setImages((prev) => prev.map((it) => {
             if (!it.url) return it;
             // match src exactly
-            if (it.url === imgEl.src) {
+            if (it.url === imageKeyOf(imgEl)) {
               return {
                 ...it,
                 width: widthCss || it.width,
@@ -663,57 +2149,499 @@ export default function App() {
     }
   };
 
-  const handlePublish = () => {
-    if (!title.trim() && !content.trim()) { toast.warn("Add a title or some content before publishing"); return; }
+  /* ----- posts: state is updated right away, the storage backend is written in the background ----- */
+  const savePost = (post) => {
+    const baseVersion = postVersion(posts.find((p) => p.id === post.id));
+    setPosts((prev) => (prev.some((p) => p.id === post.id) ? prev.map((p) => (p.id === post.id ? post : p)) : [post, ...prev]));
+    storage.savePost(post, { baseVersion })
+      .then(({ queued }) => { if (queued) toast.info("You are offline: saved on this device, it will sync when you reconnect", { toastId: "queued-save" }); })
+      .catch((err) => { console.error(err); toast.error("Failed to save post"); });
+  };
 
-    const cleanedHtml = cleanHtml(content);
-    const tempDiv = document.createElement("div");
-    tempDiv.innerHTML = cleanedHtml;
-    const plainText = tempDiv.textContent || tempDiv.innerText || "";
+  const deletePost = (id) => {
+    setPosts((prev) => prev.filter((p) => p.id !== id));
+    storage.deletePost(id).catch((err) => { console.error(err); toast.error("Failed to delete post"); });
+  };
 
-    const newPost = {
-      id: Date.now(),
-      title: title.trim() || "Untitled Post",
-      contentHtml: cleanedHtml,
-      contentPlain: plainText,
-      tags: (tags || []).filter(Boolean),
-      images,
-      createdAt: new Date().toISOString(),
-    };
+  /* ----- comments and reactions ----- */
+  const saveComment = (comment) => {
+    setComments((prev) => (prev.some((c) => c.id === comment.id) ? prev.map((c) => (c.id === comment.id ? comment : c)) : [...prev, comment]));
+    storage.saveComment(comment).catch((err) => { console.error(err); toast.error("Failed to save comment"); });
+  };
+
+  const handleAddComment = (post, { parentId, displayName, body }) => {
+    const comment = createComment({ id: nextId(), postId: post.id, parentId, user, displayName, body, canModerate: canEditPost(post, user) });
+    saveComment(comment);
+    if (commentStatus(comment) === "pending") toast.info("Thanks! Your comment will appear once the author approves it");
+  };
+
+  const handleModerateComment = (comment, status) => saveComment({ ...comment, status, moderatedAt: new Date().toISOString() });
+
+  const handleDeleteComment = (comment) => {
+    if (!window.confirm("Delete this comment?")) return;
+    const tombstone = deletionOf(comment, comments);
+    if (tombstone) { saveComment(tombstone); return; }
+    setComments((prev) => prev.filter((c) => c.id !== comment.id));
+    storage.deleteComment(comment.id).catch((err) => { console.error(err); toast.error("Failed to delete comment"); });
+  };
+
+  // targetId is the post's id for reactions on the post itself
+  const handleToggleReaction = (post, targetId, kind) => {
+    const id = reactionId(targetId, user.uid, kind);
+    if (reactions.some((r) => r.id === id)) {
+      setReactions((prev) => prev.filter((r) => r.id !== id));
+      storage.deleteReaction(id).catch((err) => console.error("remove reaction failed", err));
+      return;
+    }
+    const reaction = { id, postId: post.id, targetId, uid: user.uid, kind, createdAt: new Date().toISOString() };
+    setReactions((prev) => [...prev, reaction]);
+    storage.saveReaction(reaction).catch((err) => { console.error(err); toast.error("Failed to save reaction"); });
+  };
 
-    const updatedPosts = [newPost, ...posts];
-    setPosts(updatedPosts);
-    try { localStorage.setItem(POSTS_KEY, JSON.stringify(updatedPosts)); } catch (err) { console.error(err); }
+  // a deleted post takes its comments and reactions with it
+  const removePostDiscussion = (postId) => {
+    comments.filter((c) => c.postId === postId).forEach((c) => storage.deleteComment(c.id).catch((err) => console.error("delete comment failed", err)));
+    reactions.filter((r) => r.postId === postId).forEach((r) => storage.deleteReaction(r.id).catch((err) => console.error("delete reaction failed", err)));
+    setComments((prev) => prev.filter((c) => c.postId !== postId));
+    setReactions((prev) => prev.filter((r) => r.postId !== postId));
+  };
 
-    toast.success("Post published!");
+  // reset the editor to a blank post; the drafts[] entry it was writing to is left alone
+  const clearEditor = () => {
     setTitle("");
     setContent("");
     setTags([]);
     setImages([]);
-    localStorage.removeItem(DRAFT_KEY);
+    setEditingId(null);
+    setPublishStatus("published");
+    setPublishAt(null);
+    setToc(false);
+    setSeo(EDITOR_SEO);
+    setCreatedAt(null);
+    setDraftId(null);
   };
 
   const draftChanged = !!((title && title.trim()) || (content && content.trim()) || (tags && tags.length) || (images && images.length));
 
+  // save whatever is in the editor before it gets replaced by something else
+  const stashDraft = () => {
+    if (draftChanged) upsertDraft({ title, content, tags, images, editingId, status: publishStatus, publishAt, toc, seo, createdAt });
+  };
+
+  const editingPost = editingId != null ? posts.find((p) => p.id === editingId) : null;
+
+  // published posts are co-edited live while the rich editor is on screen
+  const collabPostId = view === "editor" && !isPreview && editorMode === "rich" && editingPost && canEditPost(editingPost, user) ? editingPost.id : null;
+  const collab = useCollaboration({ quillRef, postId: collabPostId, user });
+
+  // permalink slugs (stored on the post once published; derived for older posts)
+  const slugs = useMemo(() => assignSlugs(posts), [posts]);
+  const routePost = route.name === "article" ? posts.find((p) => slugs.get(p.id) === route.slug) : null;
+  // a changed slug keeps the old address working by redirecting it
+  const movedPost = route.name === "article" && !routePost ? posts.find((p) => p.previousSlugs?.includes(route.slug)) : null;
+  useEffect(() => {
+    if (movedPost) navigate(routes.article(slugs.get(movedPost.id)), { replace: true });
+  }, [movedPost, slugs]);
+
+  // slugs in use by other posts (current and redirected), so a new or edited slug never takes over another post's link
+  const takenSlugs = (exceptId) => new Set(posts.filter((p) => p.id !== exceptId).flatMap((p) => [slugs.get(p.id), ...(p.previousSlugs || [])]));
+  // the address the post in the editor gets (or keeps) when it is saved
+  const editorSlug = seo.slug.trim()
+    ? uniqueSlug(slugify(seo.slug), takenSlugs(editingId))
+    : (editingPost && (editingPost.slug || slugs.get(editingPost.id))) || uniqueSlug(slugify(title), takenSlugs(editingId));
+  // rebuilt whenever posts are loaded, published, updated or removed
+  const searchIndex = useMemo(() => buildSearchIndex(posts), [posts]);
+  const tagStats = useMemo(() => tagUsage(posts), [posts]);
+  const commentStats = useMemo(() => commentCounts(comments), [comments]);
+
+  // a scheduled post is published once its time passes (see postStatus); re-render then so it shows up as such
+  const [clock, setClock] = useState(0);
+  useEffect(() => {
+    const next = nextPublishAt(posts);
+    if (next == null) return;
+    // setTimeout delays are capped at about 24.8 days; a later post just waits another round
+    const timer = setTimeout(() => setClock((n) => n + 1), Math.min(Math.max(0, next - Date.now()) + 50, 2 ** 31 - 1));
+    return () => clearTimeout(timer);
+  }, [posts, clock]);
+
+  // the pre-publish checklist for what is in the editor
+  const publishChecks = (cleanedHtml) => runPublishChecks({
+    title: title.trim() || "Untitled Post",
+    html: cleanedHtml,
+    tags: normalizeTags(tags),
+    images,
+    postId: editingPost?.id,
+    posts,
+  });
+
+  // confirmed: the author saw the checklist's warnings and chose to publish anyway
+  const handlePublish = ({ confirmed = false } = {}) => {
+    if (!title.trim() && !content.trim()) { toast.warn("Add a title or some content before publishing"); return; }
+    if (editingPost && !canEditPost(editingPost, user)) { toast.error("Only the author can update this post"); return; }
+    if (publishStatus === "scheduled" && !(Date.parse(publishAt) > new Date().getTime())) { toast.warn("Pick a publish time in the future to schedule this post"); return; }
+    const goingLive = publishStatus === "published" || publishStatus === "scheduled";
+
+    const cleanedHtml = cleanPostHtml(dehydrateImageRefs(content));
+    // anything flagged opens the checklist: blocking rules have to be fixed, warnings only confirmed
+    const flagged = goingLive ? publishChecks(cleanedHtml).filter((c) => c.problems.length) : [];
+    if (flagged.some((c) => c.level === "block") || (flagged.length && !confirmed)) {
+      setChecklist(publishChecks(cleanedHtml));
+      return;
+    }
+    setChecklist(null);
+
+    const seoFields = normalizeSeo(seo);
+    if (seoFields.canonical && !isAbsoluteUrl(seoFields.canonical)) { toast.warn("The canonical URL must be a full http(s) address"); return; }
+
+    const contentPlain = plainText(cleanedHtml);
+    const fields = {
+      title: title.trim() || "Untitled Post",
+      contentHtml: cleanedHtml,
+      contentPlain,
+      readingMinutes: readingTime(countWords(contentPlain)),
+      tags: normalizeTags(tags),
+      images,
+      coverImage: coverImageOf(images),
+      status: publishStatus,
+      publishAt: publishStatus === "scheduled" ? publishAt : null,
+      toc,
+      seo: seoFields,
+    };
+
+    const savedAt = new Date().toISOString();
+    // first time the post went live (scheduled posts get it when they flip to published)
+    const publishedAt = editingPost?.publishedAt || (editingPost && isPublished(editingPost) ? publishedAtOf(editingPost) : null) || (publishStatus === "published" ? savedAt : null);
+    const savedMessage = {
+      draft: "Saved as draft",
+      review: "Submitted for review",
+      scheduled: `Scheduled for ${new Date(publishAt).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" })}`,
+      published: "Post published!",
+    }[publishStatus];
+    const author = { uid: user.uid, name: user.name };
+    // every save appends an immutable snapshot; revisions are never edited afterwards
+    const revision = { id: nextId(), savedAt, ...fields };
+
+    if (editingPost) {
+      // posts published before revisions existed get their current state recorded first
+      const previous = editingPost.revisions?.length ? editingPost.revisions : [{
+        id: Date.parse(editingPost.updatedAt || editingPost.createdAt) || editingPost.id,
+        savedAt: editingPost.updatedAt || editingPost.createdAt || savedAt,
+        title: editingPost.title,
+        contentHtml: editingPost.contentHtml,
+        contentPlain: editingPost.contentPlain,
+        tags: editingPost.tags || [],
+        images: editingPost.images || [],
+      }];
+      // replace the existing entry in place, keeping its id and original createdAt; unowned legacy posts are claimed
+      // the slug is frozen at first publish so shared links keep working after a title change; changing it by hand
+      // keeps the old one as a redirect
+      const currentSlug = editingPost.slug || slugs.get(editingPost.id);
+      const previousSlugs = editorSlug === currentSlug ? editingPost.previousSlugs : [...new Set([...(editingPost.previousSlugs || []), currentSlug])].filter((s) => s !== editorSlug);
+      const updatedPost = { ...editingPost, ...fields, publishedAt, slug: editorSlug, ...(previousSlugs && { previousSlugs }), author: editingPost.author || author, updatedAt: savedAt, revisions: [...previous, revision] };
+      savePost(updatedPost);
+      toast.success(publishStatus === postStatus(editingPost) ? "Post updated!" : savedMessage);
+    } else {
+      const newPost = { id: nextId(), ...fields, publishedAt, slug: editorSlug, author, createdAt: createdAt || savedAt, revisions: [revision] };
+      savePost(newPost);
+      toast.success(savedMessage);
+    }
+
+    removeDraft(draftId);
+    clearEditor();
+  };
+
   const handleSelectPost = (post) => {
+    if (!canEditPost(post, user)) { toast.info(`Only ${post.author?.name || "the author"} can edit this post`); return; }
+    if (draftId != null && editingId === post.id) { setView("editor"); setIsPreview(false); return; }
+    stashDraft();
+    setView("editor");
+    setIsPreview(false);
+
+    // unsaved edits of this post from an earlier session take precedence over the published copy
+    const pending = drafts.find((d) => d.editingId === post.id);
+    if (pending) {
+      loadDraftIntoEditor(pending);
+      toast.info("Resumed your unsaved edits of this post", { autoClose: 1600, pauseOnHover: false });
+      return;
+    }
+
+    loadPostIntoEditor(post);
+    toast.info("Loaded post for editing", { autoClose: 1200, pauseOnHover: false });
+  };
+
+  // the stored post in the editor; publishing updates it in place
+  const loadPostIntoEditor = (post) => {
+    setDraftId(null);
     setTitle(post.title || "");
-    setContent(post.contentHtml || "");
+    setContent(migrateSizeHeadings(post.contentHtml));
     setTags((post.tags || []).filter(Boolean));
     setImages(post.images || []);
+    setEditingId(post.id);
+    setPublishStatus(postStatus(post));
+    setPublishAt(post.publishAt || null);
+    setToc(!!post.toc);
+    setSeo({ ...EDITOR_SEO, ...post.seo, slug: post.slug || slugs.get(post.id) });
+    setCreatedAt(null);
+  };
+
+  const handleDeletePost = (post) => {
+    if (!canEditPost(post, user)) { toast.error("Only the author can delete this post"); return; }
+    if (!window.confirm(`Delete "${post.title || "Untitled"}"? This cannot be undone.`)) return;
+    removePostDiscussion(post.id);
+    deletePost(post.id);
+    if (post.id === editingId) { removeDraft(draftId); clearEditor(); }
+    toast.success("Post deleted");
+  };
+
+  // take a post off the published list and put it back in the editor as a draft
+  const handleUnpublishPost = (post) => {
+    if (!canEditPost(post, user)) { toast.error("Only the author can unpublish this post"); return; }
+    // republishing from the editor updates the same post
+    const unpublished = unpublishedPost(post);
+    savePost(unpublished);
+    if (post.id === editingId) {
+      // the post is open: keep the unsaved edits, now headed for draft
+      setPublishStatus("draft");
+      setPublishAt(null);
+    } else {
+      stashDraft();
+      const pending = drafts.find((d) => d.editingId === post.id);
+      if (pending) loadDraftIntoEditor({ ...pending, status: "draft", publishAt: null });
+      else loadPostIntoEditor(unpublished);
+    }
     setView("editor");
     setIsPreview(false);
-    toast.info("Loaded post for editing", { autoClose: 1200, pauseOnHover: false });
+    toast.info("Post moved back to drafts");
+  };
+
+  // load an older revision into the editor; it becomes the latest once the post is updated
+  const handleRestoreRevision = (rev) => {
+    setTitle(rev.title || "");
+    setContent(migrateSizeHeadings(rev.contentHtml));
+    setTags((rev.tags || []).filter(Boolean));
+    setImages(rev.images || []);
+    setHistoryOpen(false);
+    setIsPreview(false);
+    toast.info(`Restored revision from ${formatStamp(rev.savedAt)}. Update the post to keep it.`);
+  };
+
+  const handleSignOut = () => {
+    stashDraft();
+    auth.signOut().catch((err) => { console.error(err); toast.error("Sign-out failed"); });
   };
 
   const handleNewPostClick = () => {
+    stashDraft();
     setView("editor");
-    setTitle("");
-    setContent("");
-    setTags([]);
-    setImages([]);
-    localStorage.removeItem(DRAFT_KEY);
+    setIsPreview(false);
+    clearEditor();
+  };
+
+  const handleResumeDraft = (draft) => {
+    if (draft.id !== draftId) stashDraft();
+    loadDraftIntoEditor(draft);
+    setView("editor");
+    setIsPreview(false);
+  };
+
+  const handleDiscardDraft = (draft) => {
+    if (!window.confirm(`Discard the draft "${draft.title || "Untitled draft"}"? This cannot be undone.`)) return;
+    removeDraft(draft.id);
+    if (draft.id === draftId) clearEditor();
+    toast.success("Draft discarded");
+  };
+
+  /* ----- tag admin: rewrite one tag (by key) on every post the user may edit, their drafts and the editor ----- */
+  const handleRetag = (fromKey, to, label) => {
+    const affected = posts.filter((p) => (p.tags || []).some((t) => tagKey(t) === fromKey));
+    const changedPosts = retagItems(affected.filter((p) => canEditPost(p, user)), fromKey, to);
+    changedPosts.forEach(savePost);
+    retagItems(drafts, fromKey, to).forEach((draft) => {
+      setDrafts((prev) => prev.map((d) => (d.id === draft.id ? draft : d)));
+      storage.saveDraft(draft).catch((err) => { console.error(err); toast.error("Failed to save draft"); });
+    });
+    if (tags.some((t) => tagKey(t) === fromKey)) setTags(retagItems([{ tags }], fromKey, to)[0].tags);
+
+    toast.success(`${label} on ${changedPosts.length} post(s)`);
+    const skipped = affected.length - changedPosts.length;
+    if (skipped) toast.warn(`${skipped} post(s) by other authors were left unchanged`);
+  };
+
+  /* ----- backups: the whole library (posts, drafts, image blobs) ----- */
+  const handleExportBackup = async (kind) => {
+    try {
+      const library = { posts, drafts };
+      const blob = kind === "zip" ? await createZipBackup(library) : await createJsonBackup(library);
+      downloadBlob(blob, `blog-backup-${new Date().toISOString().slice(0, 10)}.${kind}`);
+    } catch (err) {
+      console.error(err);
+      toast.error("Backup export failed");
+    }
+  };
+
+  const handleImportBackupFile = async (file) => {
+    try {
+      const backup = await readBackupFile(file);
+      setPendingImport({ fileName: file.name, backup, conflicts: findConflicts(backup, { posts, drafts }) });
+    } catch (err) {
+      console.error(err);
+      toast.error(err instanceof BackupError ? err.message : "Could not read that backup");
+    }
+  };
+
+  const applyImport = async (mode) => {
+    const { backup, conflicts } = pendingImport;
+    setPendingImport(null);
+    const incoming = selectIncoming(backup, conflicts, mode);
+    // posts the user may not edit are never overwritten
+    const locked = incoming.posts.filter((p) => { const existing = posts.find((e) => String(e.id) === String(p.id)); return existing && !canEditPost(existing, user); });
+    const writable = { posts: incoming.posts.filter((p) => !locked.includes(p)), drafts: incoming.drafts };
+
+    try {
+      // image blobs are stored again through the current backend, which may hand out new refs
+      const refMap = new Map();
+      for (const ref of collectImageRefs([writable.posts, writable.drafts])) {
+        const blob = backup.images.get(ref);
+        if (blob) refMap.set(ref, await storage.uploadImage(blob, { name: ref.slice(IMAGE_REF_PREFIX.length) }));
+      }
+      const restored = replaceImageRefs(writable, refMap);
+      restored.posts.forEach((post) => savePost(sanitizeImportedPost(post, user)));
+      restored.drafts.forEach((draft) => {
+        const saved = { ...draft, ownerUid: user.uid };
+        setDrafts((prev) => [saved, ...prev.filter((d) => String(d.id) !== String(draft.id))]);
+        storage.saveDraft(saved).catch((err) => { console.error(err); toast.error("Failed to save draft"); });
+      });
+      toast.success(`Imported ${restored.posts.length} post(s) and ${restored.drafts.length} draft(s)`);
+      if (locked.length) toast.warn(`Skipped ${locked.length} post(s) owned by other authors`);
+    } catch (err) {
+      console.error(err);
+      toast.error("Backup import failed");
+    }
+  };
+
+  // every published post as a standalone HTML site (ZIP)
+  const handleExportSite = async () => {
+    try {
+      downloadBlob(await buildStaticSite(posts.filter(isPublished)), "blog-site.zip");
+    } catch (err) {
+      console.error(err);
+      toast.error("Static site export failed");
+    }
+  };
+
+  /* ----- offline saves that conflict with the server copy: "mine" | "server" | "both" ----- */
+  const handleResolveConflict = async (keep) => {
+    const [{ local, server }, ...rest] = syncConflicts;
+    setSyncConflicts(rest);
+    try {
+      if (keep === "mine") {
+        await resolveQueuedPost(local.id, local);
+        return;
+      }
+      await resolveQueuedPost(local.id);
+      const [current] = server ? migrateAll([server], "contentHtml") : [];
+      setPosts((prev) => (current ? prev.map((p) => (p.id === local.id ? current : p)) : prev.filter((p) => p.id !== local.id)));
+      // the offline copy lives on as a new post next to the server's
+      if (keep === "both") {
+        savePost({ ...local, id: nextId(), title: `${local.title} (offline copy)`, slug: uniqueSlug(local.slug || slugify(local.title), takenSlugs(local.id)), previousSlugs: [] });
+      }
+    } catch (err) {
+      console.error(err);
+      toast.error("Could not resolve the conflict");
+    }
+  };
+
+  /* ----- Markdown: raw editing mode, import and export ----- */
+  // re-derive the source whenever content changed outside the Markdown editor (draft loaded, revision restored...)
+  const markdownSource = useMemo(() => {
+    if (editorMode !== "markdown") return "";
+    return markdownEdit.html === content ? markdownEdit.source : htmlToMarkdown(dehydrateImageRefs(content));
+  }, [editorMode, markdownEdit, content]);
+
+  const handleMarkdownChange = (source) => {
+    const html = markdownToHtml(source);
+    setMarkdownEdit({ source, html });
+    setContent(html);
+  };
+
+  const handleImportMarkdown = async (file) => {
+    try {
+      const imported = markdownToPost(await file.text());
+      stashDraft();
+      clearEditor();
+      setTitle(imported.title || file.name.replace(/\.(md|markdown)$/i, ""));
+      setContent(imported.contentHtml);
+      setTags(normalizeTags(imported.tags));
+      setToc(imported.toc);
+      // keep the file's post date so an export/import round trip does not reset it
+      setCreatedAt(Date.parse(imported.createdAt) ? new Date(imported.createdAt).toISOString() : null);
+      setView("editor");
+      setIsPreview(false);
+      toast.success(`Imported ${file.name}`);
+    } catch (err) {
+      console.error(err);
+      toast.error("Could not import that Markdown file");
+    }
   };
 
+  const handleExportPost = (post) => {
+    exportPostMarkdown(post).catch((err) => { console.error(err); toast.error("Markdown export failed"); });
+  };
+
+  const handleExportEditor = () => {
+    handleExportPost({ title: title.trim() || "Untitled Post", contentHtml: cleanPostHtml(dehydrateImageRefs(content)), tags: (tags || []).filter(Boolean), images, createdAt: editingPost?.createdAt ?? createdAt });
+  };
+
+  /* ----- keyboard shortcuts and the command palette ----- */
+  const updateBindings = (next) => {
+    setShortcutBindings(next);
+    saveBindings(next);
+  };
+
+  // a combo belongs to one command: taking it clears the old owner
+  const handleChangeBinding = (id, combo) => {
+    const owner = combo && Object.keys(shortcutBindings).find((other) => other !== id && shortcutBindings[other] === combo);
+    if (owner) toast.info(`${formatCombo(combo)} was moved from "${SHORTCUT_COMMANDS.find((c) => c.id === owner).label}"`);
+    updateBindings({ ...shortcutBindings, ...(owner ? { [owner]: null } : {}), [id]: combo });
+  };
+
+  const richEditorOpen = view === "editor" && !isPreview && editorMode === "rich";
+
+  // what makes sense on the current screen; the palette lists only these
+  const commandAvailable = (id) => {
+    if (FORMAT_COMMANDS[id] || id === "link") return richEditorOpen;
+    if (id === "publish" || id === "togglePreview") return view === "editor";
+    return true;
+  };
+
+  // false = not applicable here, so a shortcut key keeps its normal meaning
+  const runCommand = (id) => {
+    if (!commandAvailable(id)) return false;
+    if (FORMAT_COMMANDS[id]) {
+      handleFormat(...FORMAT_COMMANDS[id]);
+      return true;
+    }
+    const actions = {
+      palette: () => setPaletteOpen(true),
+      cheatSheet: () => setCheatSheetOpen(true),
+      newPost: handleNewPostClick,
+      publish: handlePublish,
+      togglePreview: () => setIsPreview((p) => !p),
+      link: () => { quillRef.current?.getEditor().focus(); openLinkModal(); },
+      goEditor: () => setView("editor"),
+      goPosts: () => setView("posts"),
+      goDrafts: () => setView("drafts"),
+      goTags: () => setView("tagAdmin"),
+    };
+    actions[id]();
+    return true;
+  };
+
+  const publishLabel = editingPost ? "Update post" : publishStatus === "published" ? "Publish Post" : POST_STATUSES.find((st) => st.id === publishStatus).action;
+
+  const modalOpen = syncConflicts.length > 0 || !!checklist || paletteOpen || cheatSheetOpen || linkModalOpen || embedModalOpen || !!tableEdit || historyOpen || !!pendingImport;
+  useShortcuts(shortcutBindings, runCommand, !modalOpen);
+
   return (
     <div className="app">
       <header className="app-header">
@@ -722,12 +2650,25 @@ export default function App() {
           <div className="logo-text"><span className="brand">Interactive Blog</span><span className="tagline">Interactive blog editor</span></div>
           <nav className="main-nav">
             <button className={view === "editor" ? "nav-link active" : "nav-link"} onClick={()=>setView("editor")}>Editor</button>
-            <button className={view === "posts" ? "nav-link active" : "nav-link"} onClick={()=>setView("posts")}>Posts</button>
+            <button className={["posts", "tag", "article"].includes(view) ? "nav-link active" : "nav-link"} onClick={()=>setView("posts")}>Posts</button>
+            <button className={view === "drafts" ? "nav-link active" : "nav-link"} onClick={()=>setView("drafts")}>Drafts{drafts.length > 0 && ` (${drafts.length})`}</button>
+            <button className={view === "tagAdmin" ? "nav-link active" : "nav-link"} onClick={()=>setView("tagAdmin")}>Tags</button>
           </nav>
         </div>
 
         <div className="header-right">
+          {!online && <span className="offline-chip" title="Published and updated posts are saved on this device and sync when you reconnect">Offline</span>}
+          <button type="button" className="command-chip" onClick={() => setPaletteOpen(true)} title="Command palette">
+            Commands{shortcutBindings.palette && <kbd>{formatCombo(shortcutBindings.palette)}</kbd>}
+          </button>
           <button type="button" className="upload-chip" onClick={handleNewPostClick}>+ New post</button>
+          <div className="user-pill">
+            <div className="avatar-circle">{(user.name || "?").charAt(0).toUpperCase()}</div>
+            <div className="user-meta">
+              <span className="user-name">{user.name}</span>
+              <button type="button" className="logout-link" onClick={handleSignOut}>Sign out</button>
+            </div>
+          </div>
         </div>
       </header>
 
@@ -737,36 +2678,108 @@ export default function App() {
             <div className="editor-header-row">
               <input className="title-input" placeholder="Give your post a catchy title..." value={title} onChange={(e)=>setTitle(e.target.value)} />
               <button type="button" className="preview-toggle" onClick={()=>setIsPreview(p=>!p)}>{isPreview ? "Back to editor" : "Preview"}</button>
+              {editingPost && canEditPost(editingPost, user) && <button type="button" className="preview-toggle" onClick={()=>setHistoryOpen(true)}>History ({editingPost.revisions?.length || 0})</button>}
+            </div>
+            {collabEnabled && collab.status !== "off" && <CollabPresence status={collab.status} peers={collab.peers} user={user} />}
+
+            <div className="markdown-actions">
+              {!isPreview && <button type="button" className="preview-toggle" onClick={()=>setEditorMode((m) => (m === "markdown" ? "rich" : "markdown"))}>{editorMode === "markdown" ? "Rich text" : "Markdown"}</button>}
+              <label className="preview-toggle">
+                Import .md
+                <input type="file" accept=".md,.markdown,text/markdown" hidden onChange={(e) => { const file = e.target.files?.[0]; e.target.value = ""; if (file) handleImportMarkdown(file); }} />
+              </label>
+              <button type="button" className="preview-toggle" onClick={handleExportEditor}>Export .md</button>
             </div>
 
             {!isPreview && <>
-              <EditorToolbar onFormat={handleFormat} onShowLinkModal={openLinkModal} onResizeImage={handleResizeImage} />
-              <ReactQuill
-                ref={quillRef}
-                theme="snow"
-                value={content}
-                onChange={(html) => setContent(html)}
-                modules={quillModules}
-                formats={quillFormats}
-                className="editor"
-                placeholder="Write your story here..."
-              />
-              <TagSelector selectedTags={tags} onChange={setTags} />
-              <ImageUploader images={images} onImagesChange={setImages} quillRef={quillRef} />
+              {editorMode === "markdown" ? (
+                <div className="markdown-split">
+                  <textarea
+                    className="markdown-input"
+                    value={markdownSource}
+                    onChange={(e) => handleMarkdownChange(e.target.value)}
+                    placeholder="Write Markdown here..."
+                    spellCheck
+                  />
+                  <PreviewPane title={title} content={content} tags={tags} images={images} toc={toc} />
+                </div>
+              ) : <>
+                <EditorToolbar onFormat={handleFormat} onShowLinkModal={openLinkModal} onInsertBlock={handleInsertBlock} onResizeImage={handleResizeImage} selectedImage={selectedImage} onUpdateImage={handleUpdateImage} />
+                <div className="editor-frame">
+                  <ReactQuill
+                    ref={quillRef}
+                    theme="snow"
+                    value={content}
+                    onChange={(html) => setContent(html)}
+                    modules={quillModules}
+                    formats={quillFormats}
+                    className="editor"
+                    placeholder="Write your story here..."
+                  />
+                  <WritingAnalytics quillRef={quillRef} content={content} />
+                </div>
+              </>}
+              <label className="toc-toggle">
+                <input type="checkbox" checked={toc} onChange={(e) => setToc(e.target.checked)} /> Show a table of contents (built from the post's headings)
+              </label>
+              <TagSelector selectedTags={tags} onChange={setTags} usage={tagStats} />
+              <SeoPanel seo={seo} onChange={setSeo} title={title} content={content} images={images} slug={editorSlug} />
+              <ImageUploader images={images} onImagesChange={setImages} queue={uploads.queue} onAddFiles={uploads.addFiles} onDismiss={uploads.dismiss} />
               <div className="editor-actions">
-                <button type="button" onClick={handlePublish}>Publish Post</button>
+                <select className="status-select" value={publishStatus} onChange={(e) => setPublishStatus(e.target.value)} aria-label="Status">
+                  {POST_STATUSES.map((st) => <option key={st.id} value={st.id}>{st.label}</option>)}
+                </select>
+                {publishStatus === "scheduled" && (
+                  <input type="datetime-local" className="publish-at-input" aria-label="Publish at" value={toDateTimeLocal(publishAt)} onChange={(e) => setPublishAt(fromDateTimeLocal(e.target.value))} />
+                )}
+                <button type="button" onClick={() => handlePublish()}>{publishLabel}</button>
+                <button type="button" className="secondary" onClick={() => setChecklist(publishChecks(cleanPostHtml(dehydrateImageRefs(content))))}>Checklist</button>
+                {editingPost && canEditPost(editingPost, user) && <>
+                  <button type="button" className="secondary" onClick={() => handleUnpublishPost(editingPost)}>Unpublish to draft</button>
+                  <button type="button" className="secondary danger" onClick={() => handleDeletePost(editingPost)}>Delete post</button>
+                </>}
                 {draftChanged && <span className="draft-hint">Draft auto-saves after 30 seconds of inactivity.</span>}
               </div>
             </>}
 
-            {isPreview && <PreviewPane title={title} content={content} tags={tags} images={images} />}
+            {isPreview && <PreviewPane title={title} content={content} tags={tags} images={images} toc={toc} />}
           </section>
         </main>
       )}
 
-      {view === "posts" && <PostListView posts={posts} onSelectPost={handleSelectPost} />}
+      {view === "drafts" && <DraftsView drafts={drafts} currentDraftId={draftId} posts={posts} onResume={handleResumeDraft} onDiscard={handleDiscardDraft} />}
+
+      {(view === "posts" || view === "tag") && <PostListView posts={posts} searchIndex={searchIndex} slugs={slugs} tag={route.tag} user={user} commentStats={commentStats} onSelectPost={handleSelectPost} onDeletePost={handleDeletePost} onUnpublishPost={handleUnpublishPost} onExportPost={handleExportPost} onExportBackup={handleExportBackup} onImportBackup={handleImportBackupFile} onExportSite={handleExportSite} />}
+
+      {view === "article" && (routePost
+        ? <ArticleView
+            key={routePost.id}
+            post={routePost}
+            slug={route.slug}
+            user={user}
+            onEdit={handleSelectPost}
+            comments={comments.filter((c) => String(c.postId) === String(routePost.id))}
+            reactions={reactions.filter((r) => String(r.postId) === String(routePost.id))}
+            onAddComment={(fields) => handleAddComment(routePost, fields)}
+            onModerateComment={handleModerateComment}
+            onDeleteComment={handleDeleteComment}
+            onReact={(targetId, kind) => handleToggleReaction(routePost, targetId, kind)}
+          />
+        : <main className="reader-layout"><p className="no-posts">{postsLoaded ? <>No post lives at this address. <Link to={routes.posts()}>Browse all posts</Link></> : "Loading…"}</p></main>)}
+
+      {view === "tagAdmin" && <TagAdminView usage={tagStats} onRetag={handleRetag} />}
 
+      {view === "notFound" && <main className="reader-layout"><p className="no-posts">Page not found. <Link to={routes.posts()}>Browse all posts</Link></p></main>}
+
+      {historyOpen && editingPost && <HistoryPanel key={editingPost.id} post={editingPost} onRestore={handleRestoreRevision} onClose={()=>setHistoryOpen(false)} />}
+      {pendingImport && <BackupImportDialog pending={pendingImport} onApply={applyImport} onClose={()=>setPendingImport(null)} />}
+      {syncConflicts.length > 0 && <SyncConflictDialog conflict={syncConflicts[0]} remaining={syncConflicts.length - 1} onResolve={handleResolveConflict} />}
       <LinkModal open={linkModalOpen} onClose={()=>setLinkModalOpen(false)} onInsert={handleInsertLink} />
+      {checklist && <PublishChecklist results={checklist} actionLabel={publishLabel} onPublish={() => handlePublish({ confirmed: true })} onClose={() => setChecklist(null)} />}
+      {embedModalOpen && <EmbedModal onClose={() => setEmbedModalOpen(false)} onInsert={(src) => insertBlockEmbed("video", src)} />}
+      {tableEdit && <TableDialog table={tableEdit.table} isNew={tableEdit.index == null} onSave={handleSaveTable} onRemove={handleRemoveTable} onClose={() => setTableEdit(null)} />}
+      {paletteOpen && <CommandPalette commands={SHORTCUT_COMMANDS.filter((c) => c.id !== "palette" && commandAvailable(c.id))} bindings={shortcutBindings} onRun={runCommand} onClose={() => setPaletteOpen(false)} />}
+      {cheatSheetOpen && <ShortcutSheet bindings={shortcutBindings} onChange={handleChangeBinding} onReset={() => updateBindings({ ...DEFAULT_BINDINGS })} onClose={() => setCheatSheetOpen(false)} />}
       <ToastContainer position="bottom-right" theme="light" />
 
       {/* small helpful inline styles for preview spacing */}
@@ -780,4 +2793,25 @@ export default function App() {
     </div>
   );
 }
-  
\ No newline at end of file
+  
+
+/* ---------- App: waits for the auth state, then shows sign-in or the editor ---------- */
+export default function App() {
+  const [user, setUser] = useState(undefined); // undefined while the auth backend is resolving
+
+  useEffect(() => auth.onChange(setUser), []);
+
+  if (user === undefined) return <div className="app-loading">Loading…</div>;
+
+  if (!user) {
+    return (
+      <>
+        <LoginScreen />
+        <ToastContainer position="bottom-right" theme="light" />
+      </>
+    );
+  }
+
+  // remount per user so drafts and editor state never leak between accounts
+  return <BlogApp key={user.uid} user={user} />;
+}
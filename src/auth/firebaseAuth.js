@@ -0,0 +1,49 @@
+// src/auth/firebaseAuth.js
+// Firebase Auth (email/password), optionally against the Auth emulator
+import {
+  getAuth,
+  connectAuthEmulator,
+  onAuthStateChanged,
+  signInWithEmailAndPassword,
+  createUserWithEmailAndPassword,
+  updateProfile,
+  signOut,
+} from "firebase/auth";
+import { getFirebaseApp, useEmulators, emulatorHost, emulatorPorts } from "../firebase.js";
+
+let instance = null;
+
+function getAuthInstance() {
+  if (instance) return instance;
+  instance = getAuth(getFirebaseApp());
+  if (useEmulators) connectAuthEmulator(instance, `http://${emulatorHost}:${emulatorPorts.auth}`, { disableWarnings: true });
+  return instance;
+}
+
+const toUser = (fbUser) => (fbUser ? { uid: fbUser.uid, email: fbUser.email, name: fbUser.displayName || (fbUser.email || "").split("@")[0] } : null);
+
+export function createFirebaseAuth() {
+  return {
+    name: "firebase",
+    requiresPassword: true,
+
+    onChange(callback) {
+      return onAuthStateChanged(getAuthInstance(), (fbUser) => callback(toUser(fbUser)));
+    },
+
+    async signIn({ email, password }) {
+      const cred = await signInWithEmailAndPassword(getAuthInstance(), email.trim(), password);
+      return toUser(cred.user);
+    },
+
+    async signUp({ email, password, displayName }) {
+      const cred = await createUserWithEmailAndPassword(getAuthInstance(), email.trim(), password);
+      if (displayName && displayName.trim()) await updateProfile(cred.user, { displayName: displayName.trim() });
+      return toUser(cred.user);
+    },
+
+    async signOut() {
+      await signOut(getAuthInstance());
+    },
+  };
+}
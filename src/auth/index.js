@@ -0,0 +1,38 @@
+// src/auth/index.js
+// sign-in facade used by App; follows the storage backend (Firebase Auth with "firebase", local profiles otherwise)
+import { storageBackend } from "../storage/index.js";
+import { createLocalAuth } from "./localAuth.js";
+
+export const authBackend = storageBackend;
+
+const adapterPromise = authBackend === "firebase"
+  ? import("./firebaseAuth.js").then((m) => m.createFirebaseAuth())
+  : Promise.resolve(createLocalAuth());
+
+export const auth = {
+  requiresPassword: authBackend === "firebase",
+
+  // subscribe to the signed-in user ({ uid, email, name } or null); returns an unsubscribe function
+  onChange(callback) {
+    let unsubscribe = null;
+    let cancelled = false;
+    adapterPromise.then((adapter) => {
+      if (!cancelled) unsubscribe = adapter.onChange(callback);
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe?.();
+    };
+  },
+
+  signIn: async (credentials) => (await adapterPromise).signIn(credentials),
+  signUp: async (credentials) => (await adapterPromise).signUp(credentials),
+  signOut: async () => (await adapterPromise).signOut(),
+};
+
+// posts created before sign-in existed have no author and stay editable by everyone
+export function canEditPost(post, user) {
+  if (!post) return false;
+  if (!post.author || !post.author.uid) return true;
+  return !!user && post.author.uid === user.uid;
+}
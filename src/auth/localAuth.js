@@ -0,0 +1,50 @@
+// src/auth/localAuth.js
+// local backend: a signed-in "profile" per browser, no passwords (single-machine use only)
+
+const USER_KEY = "blog-user";
+
+function readUser() {
+  try {
+    const saved = localStorage.getItem(USER_KEY);
+    return saved ? JSON.parse(saved) : null;
+  } catch (err) {
+    console.error("load user failed", err);
+    localStorage.removeItem(USER_KEY);
+    return null;
+  }
+}
+
+export function createLocalAuth() {
+  const listeners = new Set();
+  const emit = (user) => listeners.forEach((cb) => cb(user));
+
+  return {
+    name: "local",
+    requiresPassword: false,
+
+    onChange(callback) {
+      listeners.add(callback);
+      callback(readUser());
+      return () => listeners.delete(callback);
+    },
+
+    // the uid is derived from the email so signing in again as the same person keeps ownership
+    async signIn({ email, displayName }) {
+      const cleanEmail = (email || "").trim().toLowerCase();
+      if (!cleanEmail) throw new Error("Enter your email to sign in");
+      const user = { uid: `local:${cleanEmail}`, email: cleanEmail, name: (displayName || "").trim() || cleanEmail.split("@")[0] };
+      localStorage.setItem(USER_KEY, JSON.stringify(user));
+      emit(user);
+      return user;
+    },
+
+    async signUp(credentials) {
+      return this.signIn(credentials);
+    },
+
+    async signOut() {
+      localStorage.removeItem(USER_KEY);
+      emit(null);
+    },
+  };
+}
@@ -0,0 +1,201 @@
+// src/backup.js
+// full library backups: posts, drafts and the image blobs they reference, as versioned JSON or a ZIP
+import JSZip from "jszip";
+import { IMAGE_REF_PREFIX, getImageBlob, imageFileName } from "./images/imageStore.js";
+import { cleanPostHtml } from "./sanitize.js";
+import { plainText } from "./text.js";
+
+export const BACKUP_FORMAT = "interactive-blog-backup";
+export const BACKUP_VERSION = 1;
+
+const REF_PATTERN = /idb:\/\/[\w-]+/g;
+
+export class BackupError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length ? `${message}: ${problems.slice(0, 5).join("; ")}${problems.length > 5 ? ` (+${problems.length - 5} more)` : ""}` : message);
+    this.name = "BackupError";
+    this.problems = problems;
+  }
+}
+
+// every stored image ref used anywhere in the given posts/drafts (content, images[], cover, revisions)
+export const collectImageRefs = (items) => [...new Set(JSON.stringify(items).match(REF_PATTERN) || [])];
+
+const blobToBase64 = async (blob) => {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(binary);
+};
+
+const base64ToBlob = (data, type) => {
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return new Blob([bytes], { type });
+};
+
+/* ---------- export ---------- */
+
+async function readImages(posts, drafts) {
+  const images = [];
+  for (const ref of collectImageRefs([posts, drafts])) {
+    const blob = await getImageBlob(ref);
+    if (blob) images.push({ ref, blob });
+    else console.warn(`Image ${ref} is missing from this browser; it is left out of the backup`);
+  }
+  return images;
+}
+
+const manifest = (posts, drafts, images) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exportedAt: new Date().toISOString(),
+  posts,
+  drafts,
+  images,
+});
+
+// one self-contained JSON document, images as base64
+export async function createJsonBackup({ posts, drafts }) {
+  const images = await readImages(posts, drafts);
+  const entries = await Promise.all(images.map(async ({ ref, blob }) => ({ ref, type: blob.type, data: await blobToBase64(blob) })));
+  return new Blob([JSON.stringify(manifest(posts, drafts, entries), null, 2)], { type: "application/json" });
+}
+
+// backup.json plus images/<id>.<ext> files
+export async function createZipBackup({ posts, drafts }) {
+  const zip = new JSZip();
+  const images = await readImages(posts, drafts);
+  const entries = images.map(({ ref, blob }) => {
+    const file = `images/${imageFileName(ref, blob.type)}`;
+    zip.file(file, blob);
+    return { ref, type: blob.type, file };
+  });
+  zip.file("backup.json", JSON.stringify(manifest(posts, drafts, entries), null, 2));
+  return zip.generateAsync({ type: "blob" });
+}
+
+/* ---------- import ---------- */
+
+const isId = (v) => (typeof v === "number" && Number.isFinite(v)) || (typeof v === "string" && v.length > 0);
+const isStringList = (v) => Array.isArray(v) && v.every((x) => typeof x === "string");
+
+// returns a list of human-readable problems; empty when the document can be imported
+export function validateBackup(doc) {
+  if (!doc || typeof doc !== "object") return ["the file is not a backup document"];
+  if (doc.format !== BACKUP_FORMAT) return [`"format" must be "${BACKUP_FORMAT}"`];
+  if (!Number.isInteger(doc.version) || doc.version < 1) return ['"version" must be a positive integer'];
+  if (doc.version > BACKUP_VERSION) return [`backup version ${doc.version} is newer than this app supports (${BACKUP_VERSION})`];
+
+  const problems = [];
+  if (!Array.isArray(doc.posts)) problems.push('"posts" must be an array');
+  if (!Array.isArray(doc.drafts)) problems.push('"drafts" must be an array');
+  if (!Array.isArray(doc.images)) problems.push('"images" must be an array');
+  if (problems.length) return problems;
+
+  const seen = new Set();
+  doc.posts.forEach((post, i) => {
+    const at = `posts[${i}]`;
+    if (!post || typeof post !== "object") { problems.push(`${at} is not an object`); return; }
+    if (!isId(post.id)) problems.push(`${at}.id is missing`);
+    else if (seen.has(String(post.id))) problems.push(`${at}.id ${post.id} appears twice`);
+    else seen.add(String(post.id));
+    if (typeof post.title !== "string") problems.push(`${at}.title must be a string`);
+    if (typeof post.contentHtml !== "string") problems.push(`${at}.contentHtml must be a string`);
+    if (post.tags !== undefined && !isStringList(post.tags)) problems.push(`${at}.tags must be a list of strings`);
+    if (post.images !== undefined && !Array.isArray(post.images)) problems.push(`${at}.images must be an array`);
+    if (post.revisions !== undefined && !Array.isArray(post.revisions)) problems.push(`${at}.revisions must be an array`);
+  });
+  doc.drafts.forEach((draft, i) => {
+    const at = `drafts[${i}]`;
+    if (!draft || typeof draft !== "object") { problems.push(`${at} is not an object`); return; }
+    if (!isId(draft.id)) problems.push(`${at}.id is missing`);
+    if (draft.content !== undefined && typeof draft.content !== "string") problems.push(`${at}.content must be a string`);
+    if (draft.tags !== undefined && !isStringList(draft.tags)) problems.push(`${at}.tags must be a list of strings`);
+  });
+  doc.images.forEach((img, i) => {
+    if (!img || typeof img.ref !== "string" || !img.ref.startsWith(IMAGE_REF_PREFIX)) problems.push(`images[${i}].ref must be an "${IMAGE_REF_PREFIX}" ref`);
+    else if (typeof img.data !== "string" && typeof img.file !== "string") problems.push(`images[${i}] has neither data nor file`);
+  });
+  return problems;
+}
+
+// parse a .json or .zip backup into { posts, drafts, images: Map(ref -> Blob) }; throws BackupError
+export async function readBackupFile(file) {
+  const head = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+  const isZip = head[0] === 0x50 && head[1] === 0x4b; // "PK"
+
+  let zip = null;
+  let doc;
+  try {
+    if (isZip) {
+      zip = await JSZip.loadAsync(file);
+      const entry = zip.file("backup.json");
+      if (!entry) throw new BackupError("The ZIP has no backup.json");
+      doc = JSON.parse(await entry.async("string"));
+    } else {
+      doc = JSON.parse(await file.text());
+    }
+  } catch (err) {
+    if (err instanceof BackupError) throw err;
+    throw new BackupError(`Could not read ${file.name}: ${err.message}`);
+  }
+
+  const problems = validateBackup(doc);
+  if (problems.length) throw new BackupError("This is not a valid backup", problems);
+
+  const images = new Map();
+  for (const img of doc.images) {
+    if (typeof img.data === "string") { images.set(img.ref, base64ToBlob(img.data, img.type || "")); continue; }
+    const entry = zip?.file(img.file);
+    if (!entry) { console.warn(`Backup image ${img.file} is missing`); continue; }
+    images.set(img.ref, new Blob([await entry.async("arraybuffer")], { type: img.type || "" }));
+  }
+  return { posts: doc.posts, drafts: doc.drafts, images, exportedAt: doc.exportedAt || null };
+}
+
+/* ---------- conflicts ---------- */
+
+// incoming posts/drafts whose id already exists in the library
+export function findConflicts(backup, { posts, drafts }) {
+  const postIds = new Set(posts.map((p) => String(p.id)));
+  const draftIds = new Set(drafts.map((d) => String(d.id)));
+  return {
+    posts: backup.posts.filter((p) => postIds.has(String(p.id))),
+    drafts: backup.drafts.filter((d) => draftIds.has(String(d.id))),
+  };
+}
+
+// what to write for a mode: "merge" keeps the library's copy on conflict, "overwrite" takes the backup's
+export function selectIncoming(backup, conflicts, mode) {
+  if (mode === "overwrite") return { posts: backup.posts, drafts: backup.drafts };
+  const skipPosts = new Set(conflicts.posts.map((p) => String(p.id)));
+  const skipDrafts = new Set(conflicts.drafts.map((d) => String(d.id)));
+  return {
+    posts: backup.posts.filter((p) => !skipPosts.has(String(p.id))),
+    drafts: backup.drafts.filter((d) => !skipDrafts.has(String(d.id))),
+  };
+}
+
+/* ---------- import ---------- */
+
+// a backup is untrusted input: post and revision HTML goes through the sanitizer like anything the editor publishes,
+// and a post from another account (or with no author) becomes the importing user's
+export function sanitizeImportedPost(post, user) {
+  const clean = (entry) => {
+    const contentHtml = cleanPostHtml(entry.contentHtml);
+    return { ...entry, contentHtml, contentPlain: plainText(contentHtml) };
+  };
+  return {
+    ...clean(post),
+    ...(Array.isArray(post.revisions) && { revisions: post.revisions.map((rev) => (typeof rev?.contentHtml === "string" ? clean(rev) : rev)) }),
+    author: post.author?.uid === user.uid ? post.author : { uid: user.uid, name: user.name },
+  };
+}
+
+// swap image refs inside posts/drafts (after the blobs were stored again under new refs)
+export function replaceImageRefs(items, refMap) {
+  if (!refMap.size) return items;
+  return JSON.parse(JSON.stringify(items).replace(REF_PATTERN, (ref) => refMap.get(ref) || ref));
+}
@@ -0,0 +1,33 @@
+// src/backup.test.js
+// importing a crafted backup: post and revision HTML is sanitized, and authorship belongs to the importing user
+import { describe, expect, it } from "vitest";
+import { sanitizeImportedPost } from "./backup.js";
+
+const user = { uid: "u1", name: "Ana" };
+const evil = `<p onclick="steal()">Hi<script>alert(1)</script></p><img src="x.png" onerror="alert(2)"><a href="javascript:alert(3)">link</a>`;
+
+describe("sanitizeImportedPost", () => {
+  it("sanitizes contentHtml and every revision, and recomputes their plain text", () => {
+    const post = sanitizeImportedPost({
+      id: 1, title: "T", contentHtml: evil, contentPlain: "<script>", author: user,
+      revisions: [{ id: 10, contentHtml: evil, contentPlain: "x" }, { id: 11, contentHtml: "<p>fine</p>" }],
+    }, user);
+    [post, ...post.revisions].forEach((entry) => expect(entry.contentHtml).not.toMatch(/script|onclick|onerror|javascript|alert/));
+    expect(post.contentHtml).toContain(`<img src="x.png">`);
+    expect(post.contentPlain).toBe("Hi link");
+    expect(post.revisions[0].contentPlain).toBe("Hi link");
+    expect(post.revisions[1]).toEqual({ id: 11, contentHtml: "<p>fine</p>", contentPlain: "fine" });
+  });
+
+  it("keeps the author only when it is the importing user", () => {
+    expect(sanitizeImportedPost({ id: 1, contentHtml: "", author: { uid: "u1", name: "Ana B." } }, user).author).toEqual({ uid: "u1", name: "Ana B." });
+    expect(sanitizeImportedPost({ id: 2, contentHtml: "", author: { uid: "u9", name: "Mallory" } }, user).author).toEqual(user);
+    expect(sanitizeImportedPost({ id: 3, contentHtml: "" }, user).author).toEqual(user);
+  });
+
+  it("leaves the rest of the post alone", () => {
+    const post = { id: 4, title: "Keep", slug: "keep", tags: ["a"], contentHtml: "<p>ok</p>", author: user };
+    expect(sanitizeImportedPost(post, user)).toEqual({ ...post, contentPlain: "ok" });
+    expect(sanitizeImportedPost(post, user)).not.toHaveProperty("revisions");
+  });
+});
@@ -0,0 +1,87 @@
+// src/collab.js
+// real-time co-editing of a published post: the Quill document lives in a Yjs CRDT synced through a y-websocket server
+import { useLayoutEffect, useState } from "react";
+import Quill from "quill";
+import QuillCursors from "quill-cursors";
+import * as Y from "yjs";
+import { WebsocketProvider } from "y-websocket";
+import { QuillBinding } from "y-quill";
+
+// e.g. ws://localhost:1234 for `npm run collab-server`; empty turns collaboration off
+export const collabSettings = {
+  serverUrl: (import.meta.env.VITE_COLLAB_SERVER_URL || "").replace(/\/+$/, ""),
+};
+
+export const collabEnabled = collabSettings.serverUrl !== "";
+
+Quill.register("modules/cursors", QuillCursors, true);
+
+const COLORS = ["#db2777", "#2563eb", "#059669", "#d97706", "#7c3aed", "#0891b2", "#dc2626", "#4d7c0f"];
+
+// the same person gets the same color in every session
+export function collabColor(uid) {
+  let hash = 0;
+  for (const ch of String(uid || "")) hash = (hash * 31 + ch.codePointAt(0)) >>> 0;
+  return COLORS[hash % COLORS.length];
+}
+
+export const collabRoom = (postId) => `interactive-blog-post-${postId}`;
+
+// other people in the room: [{ clientId, name, color, editing }]
+function peersOf(awareness) {
+  const peers = [];
+  awareness.getStates().forEach((state, clientId) => {
+    if (clientId === awareness.clientID || !state.user) return;
+    peers.push({ clientId, name: state.user.name, color: state.user.color, editing: !!state.cursor });
+  });
+  return peers;
+}
+
+/*
+ * Bind the editor behind quillRef to the shared document of `postId` (null = not collaborating).
+ * The first person to open a post seeds the room with the editor's content; everyone after that
+ * gets the room's version. Returns { status: "off" | "connecting" | "connected" | "disconnected", peers }.
+ */
+export function useCollaboration({ quillRef, postId, user }) {
+  // keyed by post, so a room we just joined reads as "connecting" until its provider reports in
+  const [session, setSession] = useState({ postId: null, status: "connecting", peers: [] });
+  const active = collabEnabled && postId != null;
+
+  // a layout effect, so the old room is left before the editor is loaded with the next post's content
+  useLayoutEffect(() => {
+    const quill = quillRef.current?.getEditor();
+    if (!active || !quill) return undefined;
+
+    const doc = new Y.Doc();
+    const text = doc.getText("quill");
+    const provider = new WebsocketProvider(collabSettings.serverUrl, collabRoom(postId), doc);
+    const { awareness } = provider;
+    awareness.setLocalStateField("user", { name: user.name, uid: user.uid, color: collabColor(user.uid) });
+
+    let binding = null;
+    const onSync = (synced) => {
+      if (!synced || binding) return;
+      if (text.length === 0 && quill.getLength() > 1) text.applyDelta(quill.getContents().ops);
+      binding = new QuillBinding(text, quill, awareness);
+    };
+    const onStatus = (event) => setSession((prev) => ({ postId, status: event.status, peers: prev.postId === postId ? prev.peers : [] }));
+    const onAwareness = () => setSession((prev) => ({ postId, status: prev.postId === postId ? prev.status : "connecting", peers: peersOf(awareness) }));
+
+    provider.on("sync", onSync);
+    provider.on("status", onStatus);
+    awareness.on("change", onAwareness);
+
+    return () => {
+      provider.off("sync", onSync);
+      provider.off("status", onStatus);
+      awareness.off("change", onAwareness);
+      binding?.destroy();
+      quill.getModule("cursors")?.clearCursors();
+      provider.destroy();
+      doc.destroy();
+    };
+  }, [quillRef, active, postId, user.uid, user.name]);
+
+  if (!active) return { status: "off", peers: [] };
+  return session.postId === postId ? { status: session.status, peers: session.peers } : { status: "connecting", peers: [] };
+}
@@ -0,0 +1,99 @@
+// src/comments.js
+// reader comments and reactions: threading, visibility, moderation rules and counts (storage goes through the adapters)
+
+// "pre": comments from anyone but the post's author wait for approval; "off" (default): they appear immediately
+export const commentModeration = import.meta.env.VITE_COMMENT_MODERATION === "pre" ? "pre" : "off";
+
+export const COMMENT_MAX_LENGTH = 4000;
+export const MAX_THREAD_DEPTH = 4; // deeper replies are shown at this indentation
+
+export const REACTIONS = [
+  { id: "like", label: "Like" },
+  { id: "clap", label: "Clap" },
+];
+
+// "approved" | "pending" | "hidden" | "deleted" (a tombstone kept while replies hang off it)
+export const commentStatus = (comment) => comment.status || "approved";
+
+/* ---------- visibility ---------- */
+
+// moderators (whoever may edit the post) see everything; authors also see their own pending comments
+export function canSeeComment(comment, { user, canModerate }) {
+  const status = commentStatus(comment);
+  if (status === "approved" || status === "deleted") return true;
+  if (canModerate) return true;
+  return status === "pending" && !!user && comment.author?.uid === user.uid;
+}
+
+// [{ comment, replies: [...] }] oldest first; tombstones without visible replies are dropped
+export function buildThreads(comments, viewer) {
+  const children = new Map();
+  comments.forEach((c) => {
+    const key = c.parentId ?? null;
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(c);
+  });
+  const ids = new Set(comments.map((c) => c.id));
+  // replies whose parent is gone entirely are shown at the top level
+  comments.forEach((c) => {
+    if (c.parentId != null && !ids.has(c.parentId)) {
+      if (!children.has(null)) children.set(null, []);
+      children.get(null).push(c);
+    }
+  });
+
+  const build = (parentId) => (children.get(parentId) || [])
+    .sort((a, b) => String(a.createdAt || "").localeCompare(String(b.createdAt || "")))
+    .filter((c) => canSeeComment(c, viewer))
+    .map((c) => ({ comment: c, replies: build(c.id) }))
+    .filter((node) => commentStatus(node.comment) !== "deleted" || node.replies.length > 0);
+  return build(null);
+}
+
+// Map(postId -> { visible, pending }) for the post list
+export function commentCounts(comments) {
+  const counts = new Map();
+  comments.forEach((c) => {
+    const key = String(c.postId);
+    if (!counts.has(key)) counts.set(key, { visible: 0, pending: 0 });
+    const status = commentStatus(c);
+    if (status === "approved") counts.get(key).visible++;
+    else if (status === "pending") counts.get(key).pending++;
+  });
+  return counts;
+}
+
+/* ---------- comments ---------- */
+
+export function createComment({ id, postId, parentId = null, user, displayName, body, canModerate }) {
+  const now = new Date().toISOString();
+  return {
+    id,
+    postId,
+    parentId,
+    author: { uid: user.uid, name: (displayName || "").trim() || user.name },
+    body: body.trim().slice(0, COMMENT_MAX_LENGTH),
+    status: commentModeration === "pre" && !canModerate ? "pending" : "approved",
+    createdAt: now,
+  };
+}
+
+export const canDeleteComment = (comment, { user, canModerate }) => canModerate || (!!user && comment.author?.uid === user.uid);
+
+// deleting keeps a tombstone when other comments reply to it, so the thread stays intact
+export function deletionOf(comment, comments) {
+  const hasReplies = comments.some((c) => c.parentId === comment.id);
+  return hasReplies ? { ...comment, status: "deleted", body: "", author: null, updatedAt: new Date().toISOString() } : null;
+}
+
+/* ---------- reactions: one record per (target, user, kind) so toggling never races ---------- */
+
+// target is the post id, or a comment id for reactions on a comment
+export const reactionId = (targetId, uid, kind) => `${targetId}:${uid}:${kind}`;
+
+export function reactionSummary(reactions, targetId, user) {
+  return REACTIONS.map(({ id, label }) => {
+    const list = reactions.filter((r) => String(r.targetId) === String(targetId) && r.kind === id);
+    return { kind: id, label, count: list.length, mine: !!user && list.some((r) => r.uid === user.uid) };
+  });
+}
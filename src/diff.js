@@ -0,0 +1,75 @@
+// src/diff.js
+// word-level diff helpers used by the revision history panel
+
+// above this many LCS cells (after trimming common prefix/suffix) fall back to a plain remove/add
+const MAX_TABLE_CELLS = 4000000;
+
+function tokenize(text) {
+  return (text || "").split(/\s+/).filter(Boolean);
+}
+
+// push a word onto the op list, merging runs of the same type
+function pushOp(ops, type, word) {
+  const last = ops[ops.length - 1];
+  if (last && last.type === type) last.words.push(word);
+  else ops.push({ type, words: [word] });
+}
+
+/* ---------- diffWords: returns [{ type: "same" | "added" | "removed", text }] ---------- */
+export function diffWords(oldText, newText) {
+  const a = tokenize(oldText);
+  const b = tokenize(newText);
+  const ops = [];
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  for (let i = 0; i < start; i++) pushOp(ops, "same", a[i]);
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  if (n * m > MAX_TABLE_CELLS) {
+    midA.forEach((w) => pushOp(ops, "removed", w));
+    midB.forEach((w) => pushOp(ops, "added", w));
+  } else if (n || m) {
+    // lcs[i * (m + 1) + j] = LCS length of midA[i..] and midB[j..]
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * width + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) { pushOp(ops, "same", midA[i]); i++; j++; }
+      else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) { pushOp(ops, "removed", midA[i]); i++; }
+      else { pushOp(ops, "added", midB[j]); j++; }
+    }
+    while (i < n) pushOp(ops, "removed", midA[i++]);
+    while (j < m) pushOp(ops, "added", midB[j++]);
+  }
+
+  for (let i = endA; i < a.length; i++) pushOp(ops, "same", a[i]);
+
+  return ops.map((op) => ({ type: op.type, text: op.words.join(" ") }));
+}
+
+/* ---------- diffTags: which tags were added / removed between two revisions ---------- */
+export function diffTags(oldTags, newTags) {
+  const before = oldTags || [];
+  const after = newTags || [];
+  return {
+    added: after.filter((t) => !before.includes(t)),
+    removed: before.filter((t) => !after.includes(t)),
+  };
+}
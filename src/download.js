@@ -0,0 +1,15 @@
+// src/download.js
+// save generated files (exports) through a temporary object URL
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export const downloadText = (text, filename, type = "text/plain") => downloadBlob(new Blob([text], { type: `${type};charset=utf-8` }), filename);
@@ -0,0 +1,91 @@
+// src/editor/blots.js
+// extra Quill formats: code blocks that remember their language, tables, horizontal rules and provider-checked video embeds
+import Quill from "quill";
+import { toEmbedUrl } from "./embeds.js";
+import { codeLanguage } from "./highlight.js";
+
+const CodeBlock = Quill.import("formats/code-block");
+const BlockEmbed = Quill.import("blots/block/embed");
+const Video = Quill.import("formats/video");
+
+// <pre data-language="python">; the delta attribute is the language id (or true when none was picked)
+class LanguageCodeBlock extends CodeBlock {
+  static create(value) {
+    const node = super.create(value);
+    const language = typeof value === "string" ? codeLanguage(value) : null;
+    if (language) node.setAttribute("data-language", language);
+    return node;
+  }
+
+  static formats(domNode) {
+    return domNode.getAttribute("data-language") || true;
+  }
+
+  // Quill's code block ignores re-formatting; here it switches the language
+  format(name, value) {
+    if (name === this.statics.blotName && value) {
+      const language = typeof value === "string" ? codeLanguage(value) : null;
+      if (language) this.domNode.setAttribute("data-language", language);
+      else this.domNode.removeAttribute("data-language");
+      return;
+    }
+    super.format(name, value);
+  }
+}
+
+// { rows: [[header cells], [cells]...] } with at least one row and one column, every cell a string
+export function normalizeTable(value) {
+  const rows = Array.isArray(value?.rows) ? value.rows.filter(Array.isArray) : [];
+  const columns = Math.max(1, ...rows.map((r) => r.length));
+  const filled = (rows.length ? rows : [[]]).map((r) => Array.from({ length: columns }, (_, i) => String(r[i] ?? "")));
+  return { rows: filled };
+}
+
+// a table is one embed: its cells are plain text, edited through the table dialog rather than inline
+class TableBlot extends BlockEmbed {
+  static create(value) {
+    const node = super.create();
+    node.setAttribute("contenteditable", "false");
+    const [head, ...body] = normalizeTable(value).rows;
+    const addRow = (section, cells, tag) => {
+      const tr = document.createElement("tr");
+      cells.forEach((text) => {
+        const cell = document.createElement(tag);
+        cell.textContent = text;
+        tr.appendChild(cell);
+      });
+      section.appendChild(tr);
+    };
+    const thead = document.createElement("thead");
+    addRow(thead, head, "th");
+    const tbody = document.createElement("tbody");
+    body.forEach((cells) => addRow(tbody, cells, "td"));
+    node.append(thead, tbody);
+    return node;
+  }
+
+  static value(domNode) {
+    return normalizeTable({ rows: [...domNode.querySelectorAll("tr")].map((tr) => [...tr.children].map((cell) => cell.textContent.trim())) });
+  }
+}
+TableBlot.blotName = "table";
+TableBlot.tagName = "TABLE";
+TableBlot.className = "post-table";
+
+class DividerBlot extends BlockEmbed {}
+DividerBlot.blotName = "divider";
+DividerBlot.tagName = "HR";
+
+// only known players: share links become embed URLs, anything else becomes an empty frame
+class EmbedVideo extends Video {
+  static sanitize(url) {
+    return toEmbedUrl(url) || "about:blank";
+  }
+}
+
+export function registerEditorFormats() {
+  Quill.register("formats/code-block", LanguageCodeBlock, true);
+  Quill.register("formats/video", EmbedVideo, true);
+  Quill.register(TableBlot, true);
+  Quill.register(DividerBlot, true);
+}
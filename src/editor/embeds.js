@@ -0,0 +1,54 @@
+// src/editor/embeds.js
+// video / embed providers: share links are turned into their player URL, and only player URLs may be rendered as iframes
+
+const PROVIDERS = [
+  {
+    name: "YouTube",
+    match: /^https?:\/\/(?:www\.|m\.)?(?:youtube\.com\/(?:watch\?(?:[^#]*&)?v=|embed\/|shorts\/|live\/)|youtube-nocookie\.com\/embed\/|youtu\.be\/)([\w-]{11})/i,
+    embed: ([id]) => `https://www.youtube-nocookie.com/embed/${id}`,
+  },
+  {
+    name: "Vimeo",
+    match: /^https?:\/\/(?:www\.|player\.)?vimeo\.com\/(?:video\/)?(\d+)/i,
+    embed: ([id]) => `https://player.vimeo.com/video/${id}`,
+  },
+  {
+    name: "Loom",
+    match: /^https?:\/\/(?:www\.)?loom\.com\/(?:share|embed)\/([\da-f]{32})/i,
+    embed: ([id]) => `https://www.loom.com/embed/${id}`,
+  },
+  {
+    name: "Dailymotion",
+    match: /^https?:\/\/(?:(?:www\.)?dailymotion\.com\/(?:embed\/)?video\/|dai\.ly\/)([a-z0-9]+)/i,
+    embed: ([id]) => `https://www.dailymotion.com/embed/video/${id}`,
+  },
+  {
+    name: "CodePen",
+    match: /^https?:\/\/codepen\.io\/([\w-]+)\/(?:pen|embed)\/(\w+)/i,
+    embed: ([user, id]) => `https://codepen.io/${user}/embed/${id}?default-tab=result`,
+  },
+];
+
+export const EMBED_PROVIDERS = PROVIDERS.map((p) => p.name);
+
+// the player URLs produced above; anything else in an iframe is dropped when sanitizing
+const PLAYER_URLS = [
+  /^https:\/\/www\.youtube-nocookie\.com\/embed\/[\w-]{11}(?:\?[\w=&%-]*)?$/,
+  /^https:\/\/player\.vimeo\.com\/video\/\d+(?:\?[\w=&%-]*)?$/,
+  /^https:\/\/www\.loom\.com\/embed\/[\da-f]{32}(?:\?[\w=&%-]*)?$/,
+  /^https:\/\/www\.dailymotion\.com\/embed\/video\/[a-z0-9]+(?:\?[\w=&%-]*)?$/i,
+  /^https:\/\/codepen\.io\/[\w-]+\/embed\/\w+(?:\?[\w=&%-]*)?$/,
+];
+
+export const isEmbedUrl = (src) => PLAYER_URLS.some((re) => re.test(src || ""));
+
+// share/watch link -> player URL, or null for unsupported sites
+export function toEmbedUrl(url) {
+  const value = (url || "").trim();
+  if (isEmbedUrl(value)) return value;
+  for (const provider of PROVIDERS) {
+    const m = value.match(provider.match);
+    if (m) return provider.embed(m.slice(1));
+  }
+  return null;
+}
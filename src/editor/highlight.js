@@ -0,0 +1,79 @@
+// src/editor/highlight.js
+// syntax highlighting for code blocks, applied when post HTML is rendered (the editor itself shows plain code)
+import hljs from "highlight.js/lib/core";
+import bash from "highlight.js/lib/languages/bash";
+import c from "highlight.js/lib/languages/c";
+import cpp from "highlight.js/lib/languages/cpp";
+import csharp from "highlight.js/lib/languages/csharp";
+import css from "highlight.js/lib/languages/css";
+import diff from "highlight.js/lib/languages/diff";
+import go from "highlight.js/lib/languages/go";
+import java from "highlight.js/lib/languages/java";
+import javascript from "highlight.js/lib/languages/javascript";
+import json from "highlight.js/lib/languages/json";
+import kotlin from "highlight.js/lib/languages/kotlin";
+import markdown from "highlight.js/lib/languages/markdown";
+import php from "highlight.js/lib/languages/php";
+import python from "highlight.js/lib/languages/python";
+import ruby from "highlight.js/lib/languages/ruby";
+import rust from "highlight.js/lib/languages/rust";
+import sql from "highlight.js/lib/languages/sql";
+import swift from "highlight.js/lib/languages/swift";
+import typescript from "highlight.js/lib/languages/typescript";
+import xml from "highlight.js/lib/languages/xml";
+import yaml from "highlight.js/lib/languages/yaml";
+
+// id is what the code block stores in data-language (and what Markdown fences use)
+export const CODE_LANGUAGES = [
+  { id: "plaintext", label: "Plain text" },
+  { id: "bash", label: "Bash / Shell", grammar: bash },
+  { id: "c", label: "C", grammar: c },
+  { id: "cpp", label: "C++", grammar: cpp },
+  { id: "csharp", label: "C#", grammar: csharp },
+  { id: "css", label: "CSS", grammar: css },
+  { id: "diff", label: "Diff", grammar: diff },
+  { id: "go", label: "Go", grammar: go },
+  { id: "xml", label: "HTML / XML", grammar: xml },
+  { id: "java", label: "Java", grammar: java },
+  { id: "javascript", label: "JavaScript", grammar: javascript },
+  { id: "json", label: "JSON", grammar: json },
+  { id: "kotlin", label: "Kotlin", grammar: kotlin },
+  { id: "markdown", label: "Markdown", grammar: markdown },
+  { id: "php", label: "PHP", grammar: php },
+  { id: "python", label: "Python", grammar: python },
+  { id: "ruby", label: "Ruby", grammar: ruby },
+  { id: "rust", label: "Rust", grammar: rust },
+  { id: "sql", label: "SQL", grammar: sql },
+  { id: "swift", label: "Swift", grammar: swift },
+  { id: "typescript", label: "TypeScript", grammar: typescript },
+  { id: "yaml", label: "YAML", grammar: yaml },
+];
+
+CODE_LANGUAGES.forEach(({ id, grammar }) => grammar && hljs.registerLanguage(id, grammar));
+hljs.registerAliases(["shell", "console"], { languageName: "bash" });
+
+// registered grammar -> our id, so aliases resolve to the id the code block stores
+const idByLanguage = new Map(CODE_LANGUAGES.filter((l) => l.grammar).map((l) => [hljs.getLanguage(l.id), l.id]));
+
+// fence info strings people actually type ("js", "sh", "html"...) -> a CODE_LANGUAGES id, or null
+export function codeLanguage(name) {
+  const id = (name || "").trim().toLowerCase();
+  if (!id) return null;
+  if (id === "plaintext" || id === "text" || id === "txt") return "plaintext";
+  return idByLanguage.get(hljs.getLanguage(id)) ?? null;
+}
+
+// highlight every <pre data-language> in already-sanitized HTML; hljs escapes the code, so the output stays safe
+export function highlightCodeBlocks(html) {
+  if (!html || !html.includes("<pre")) return html;
+  const tpl = document.createElement("template");
+  tpl.innerHTML = html;
+  tpl.content.querySelectorAll("pre[data-language]").forEach((pre) => {
+    const language = codeLanguage(pre.getAttribute("data-language"));
+    if (!language || language === "plaintext") return;
+    const code = pre.textContent.replace(/\n$/, "");
+    pre.innerHTML = hljs.highlight(code, { language, ignoreIllegals: true }).value;
+    pre.classList.add("hljs");
+  });
+  return tpl.innerHTML;
+}
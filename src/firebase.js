@@ -0,0 +1,29 @@
+// src/firebase.js
+// shared Firebase app; configured through VITE_FIREBASE_* env vars (see .env.example)
+import { initializeApp, getApps } from "firebase/app";
+
+const env = import.meta.env;
+
+export const firebaseConfig = {
+  apiKey: env.VITE_FIREBASE_API_KEY || "demo-api-key",
+  authDomain: env.VITE_FIREBASE_AUTH_DOMAIN,
+  projectId: env.VITE_FIREBASE_PROJECT_ID || "demo-interactive-blog",
+  storageBucket: env.VITE_FIREBASE_STORAGE_BUCKET || `${env.VITE_FIREBASE_PROJECT_ID || "demo-interactive-blog"}.appspot.com`,
+  appId: env.VITE_FIREBASE_APP_ID,
+};
+
+// when set, every Firebase service talks to the Local Emulator Suite instead of production
+export const useEmulators = env.VITE_FIREBASE_EMULATORS === "true";
+
+export const emulatorHost = env.VITE_FIREBASE_EMULATOR_HOST || "127.0.0.1";
+
+// ports match firebase.json
+export const emulatorPorts = {
+  auth: Number(env.VITE_FIREBASE_AUTH_EMULATOR_PORT) || 9099,
+  firestore: Number(env.VITE_FIRESTORE_EMULATOR_PORT) || 8080,
+  storage: Number(env.VITE_FIREBASE_STORAGE_EMULATOR_PORT) || 9199,
+};
+
+export function getFirebaseApp() {
+  return getApps()[0] || initializeApp(firebaseConfig);
+}
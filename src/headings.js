@@ -0,0 +1,68 @@
+// src/headings.js
+// semantic headings: migrating the old font-size "headings", anchor ids, and the table of contents built from them
+import { slugify, uniqueSlug } from "./slug.js";
+
+// font sizes the heading dropdown used to apply (style or ql-size-* class), mapped to heading levels
+export const SIZE_HEADINGS = { "36px": 1, "32px": 2, "28px": 3, "24px": 4, "18px": 5, "14px": 6, huge: 1, large: 2 };
+
+const sizeOf = (el) => el.style.fontSize || ([...el.classList].find((c) => c.startsWith("ql-size-")) || "").slice(8);
+
+const parse = (html) => {
+  const tpl = document.createElement("template");
+  tpl.innerHTML = html;
+  return tpl;
+};
+
+// heading level of a paragraph whose whole text carries one heading-sized font size, else 0
+export function sizeHeadingLevel(p) {
+  const text = p.textContent.trim();
+  if (!text) return 0;
+  const sized = [...p.querySelectorAll("span")].find((el) => SIZE_HEADINGS[sizeOf(el)] && el.textContent.trim() === text);
+  return sized ? SIZE_HEADINGS[sizeOf(sized)] : 0;
+}
+
+// <p><span class="ql-size-huge">Intro</span></p> -> <h1>Intro</h1>; sizes on part of a paragraph are left alone
+export function migrateSizeHeadings(html) {
+  if (!html || !/ql-size-|font-size/i.test(html)) return html || "";
+  const tpl = parse(html);
+  let changed = false;
+  tpl.content.querySelectorAll("p").forEach((p) => {
+    const level = sizeHeadingLevel(p);
+    if (!level) return;
+    p.querySelectorAll("span").forEach((span) => {
+      if (!SIZE_HEADINGS[sizeOf(span)]) return;
+      span.style.removeProperty("font-size");
+      [...span.classList].filter((c) => c.startsWith("ql-size-")).forEach((c) => span.classList.remove(c));
+      if (!span.getAttribute("style")) span.removeAttribute("style");
+      if (!span.getAttribute("class")) span.removeAttribute("class");
+      if (!span.attributes.length) span.replaceWith(...span.childNodes);
+    });
+    const heading = document.createElement(`h${level}`);
+    if (p.className) heading.className = p.className; // alignment
+    heading.append(...p.childNodes);
+    p.replaceWith(heading);
+    changed = true;
+  });
+  return changed ? tpl.innerHTML : html;
+}
+
+// give every h1-h6 an id from its text ("Getting started" -> "getting-started", repeats get -2, -3...)
+export function addHeadingAnchors(html) {
+  if (!html || !/<h[1-6]/i.test(html)) return html || "";
+  const tpl = parse(html);
+  const taken = new Set();
+  tpl.content.querySelectorAll("h1, h2, h3, h4, h5, h6").forEach((h) => {
+    const id = uniqueSlug(slugify(h.textContent, "section"), taken);
+    taken.add(id);
+    h.id = id;
+  });
+  return tpl.innerHTML;
+}
+
+// [{ level, text, id }] of the anchored headings in rendered post HTML
+export function tableOfContents(html) {
+  if (!html || !/<h[1-6]/i.test(html)) return [];
+  return [...parse(html).content.querySelectorAll("h1[id], h2[id], h3[id], h4[id], h5[id], h6[id]")]
+    .map((h) => ({ level: Number(h.tagName[1]), text: h.textContent.trim(), id: h.id }))
+    .filter((h) => h.text);
+}
@@ -0,0 +1,63 @@
+// src/images/imageMeta.js
+// alt text, captions, alignment and the cover flag live on images[] entries (matched to <img> by src);
+// they are applied when HTML is rendered, so the editor's Quill HTML never has to hold <figure> markup
+
+export const IMAGE_ALIGNMENTS = ["left", "center", "right", "full"];
+
+const metaFor = (images, src) => (images || []).find((img) => img.url === src) || null;
+
+/* ---------- applyImageMeta: alt text + <figure>/<figcaption> for rendered HTML ---------- */
+export function applyImageMeta(html, images) {
+  if (!html || !images || images.length === 0 || !html.includes("<img")) return html || "";
+  const tpl = document.createElement("template");
+  tpl.innerHTML = html;
+
+  tpl.content.querySelectorAll("img").forEach((img) => {
+    const meta = metaFor(images, img.getAttribute("src"));
+    if (!meta) return;
+    if (meta.alt) img.setAttribute("alt", meta.alt);
+    if (!meta.caption && !meta.align) return;
+
+    const figure = document.createElement("figure");
+    figure.className = `post-figure align-${IMAGE_ALIGNMENTS.includes(meta.align) ? meta.align : "center"}`;
+    if (meta.align === "full") {
+      img.style.removeProperty("width");
+      img.style.removeProperty("height");
+    }
+
+    const parent = img.parentElement;
+    // Quill keeps images inside a <p>; a figure there would be invalid, so it replaces an image-only paragraph
+    const onlyChild = parent && parent.tagName === "P" && parent.textContent.trim() === "" && parent.querySelectorAll("img").length === 1;
+    if (onlyChild) parent.replaceWith(figure);
+    else if (parent && parent.tagName === "P") parent.after(figure);
+    else img.replaceWith(figure);
+
+    figure.appendChild(img);
+    if (meta.caption) {
+      const caption = document.createElement("figcaption");
+      caption.textContent = meta.caption;
+      figure.appendChild(caption);
+    }
+  });
+
+  return tpl.innerHTML;
+}
+
+/* ---------- findImagesMissingAlt: names of images in the HTML that have no alt text ---------- */
+export function findImagesMissingAlt(html, images) {
+  if (!html || !html.includes("<img")) return [];
+  const tpl = document.createElement("template");
+  tpl.innerHTML = html;
+  return [...tpl.content.querySelectorAll("img")]
+    .filter((img) => {
+      const meta = metaFor(images, img.getAttribute("src"));
+      return !((meta?.alt || img.getAttribute("alt") || "").trim());
+    })
+    .map((img) => metaFor(images, img.getAttribute("src"))?.name || "image");
+}
+
+// the cover image stored on a post (small enough for list cards), or null
+export function coverImageOf(images) {
+  const cover = (images || []).find((img) => img.cover);
+  return cover ? { url: cover.url, thumbUrl: cover.thumbUrl || cover.url, alt: cover.alt || "" } : null;
+}
@@ -0,0 +1,110 @@
+// src/images/imageStore.js
+// local blob store for uploaded images (IndexedDB); content refers to them as "idb://<id>"
+
+export const IMAGE_REF_PREFIX = "idb://";
+
+const DB_NAME = "interactive-blog-images";
+const STORE = "images";
+
+let dbPromise = null;
+const objectUrls = new Map(); // ref -> object URL, kept for the lifetime of the page
+
+export const isImageRef = (value) => typeof value === "string" && value.startsWith(IMAGE_REF_PREFIX);
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  return dbPromise;
+}
+
+async function run(mode, action) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = action(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted"));
+  });
+}
+
+/* ---------- blobs ---------- */
+export async function putImageBlob(blob) {
+  const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  await run("readwrite", (store) => store.put(blob, id));
+  return IMAGE_REF_PREFIX + id;
+}
+
+export async function getImageBlob(ref) {
+  if (!isImageRef(ref)) return null;
+  return (await run("readonly", (store) => store.get(ref.slice(IMAGE_REF_PREFIX.length)))) || null;
+}
+
+const EXTENSIONS = { "image/jpeg": "jpg", "image/png": "png", "image/webp": "webp", "image/gif": "gif", "image/svg+xml": "svg" };
+
+// file name for a ref's blob when it is written out (backups, static site)
+export const imageFileName = (ref, type) => `${ref.slice(IMAGE_REF_PREFIX.length)}.${EXTENSIONS[type] || "bin"}`;
+
+/* ---------- refs -> displayable URLs ---------- */
+export const getCachedImageUrl = (ref) => (isImageRef(ref) ? objectUrls.get(ref) || null : ref);
+
+// non-ref values (http(s)/data URLs) are returned unchanged
+export async function resolveImageUrl(ref) {
+  if (!isImageRef(ref)) return ref;
+  if (objectUrls.has(ref)) return objectUrls.get(ref);
+  const blob = await getImageBlob(ref);
+  if (!blob) throw new Error(`Image ${ref} is missing from this browser`);
+  const url = URL.createObjectURL(blob);
+  objectUrls.set(ref, url);
+  return url;
+}
+
+/* ---------- HTML helpers ---------- */
+
+// editor HTML carries display URLs plus data-ref; stored HTML keeps only the ref
+export function dehydrateImageRefs(html) {
+  if (!html || !html.includes("data-ref")) return html || "";
+  const tpl = document.createElement("template");
+  tpl.innerHTML = html;
+  tpl.content.querySelectorAll("img[data-ref]").forEach((img) => {
+    img.setAttribute("src", img.getAttribute("data-ref"));
+    img.removeAttribute("data-ref");
+  });
+  return tpl.innerHTML;
+}
+
+// swap stored refs for object URLs so the HTML can be displayed; unknown refs are left as they are
+export async function hydrateImageRefs(html) {
+  if (!html || !html.includes(IMAGE_REF_PREFIX)) return html || "";
+  const tpl = document.createElement("template");
+  tpl.innerHTML = html;
+  const imgs = [...tpl.content.querySelectorAll("img")].filter((img) => isImageRef(img.getAttribute("src")));
+  await Promise.all(imgs.map(async (img) => {
+    try { img.setAttribute("src", await resolveImageUrl(img.getAttribute("src"))); } catch (err) { console.warn(err.message); }
+  }));
+  return tpl.innerHTML;
+}
+
+const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+// replace every ref in a string with a data URL so the text works outside this browser (exports)
+export async function inlineImageRefs(text) {
+  const refs = [...new Set(text.match(/idb:\/\/[\w-]+/g) || [])];
+  let out = text;
+  for (const ref of refs) {
+    const blob = await getImageBlob(ref);
+    if (blob) out = out.split(ref).join(await blobToDataUrl(blob));
+    else console.warn(`Image ${ref} is missing from this browser`);
+  }
+  return out;
+}
@@ -0,0 +1,95 @@
+// src/images/processImage.js
+// client-side resize/recompress and thumbnail generation (canvas based)
+
+const env = import.meta.env;
+
+// override with VITE_IMAGE_MAX_DIMENSION / VITE_IMAGE_QUALITY / VITE_IMAGE_THUMBNAIL_SIZE
+export const imageSettings = {
+  maxDimension: Number(env.VITE_IMAGE_MAX_DIMENSION) || 1600,
+  quality: Number(env.VITE_IMAGE_QUALITY) || 0.82,
+  thumbnailSize: Number(env.VITE_IMAGE_THUMBNAIL_SIZE) || 240,
+};
+
+// formats the canvas would flatten (animation) or rasterize (vector) are stored untouched
+const PASSTHROUGH_TYPES = ["image/gif", "image/svg+xml"];
+
+function readFile(file, onProgress) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onprogress = (ev) => {
+      if (ev.lengthComputable) onProgress(ev.loaded / ev.total);
+    };
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error || new Error("Failed to read image file"));
+    reader.readAsArrayBuffer(file);
+  });
+}
+
+async function decode(blob) {
+  const url = URL.createObjectURL(blob);
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    return img;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// scale (w, h) down so the longest side is at most `max`
+function fit(width, height, max) {
+  const scale = Math.min(1, max / Math.max(width, height));
+  return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+}
+
+function render(img, { width, height }, type, quality) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  if (type === "image/jpeg") {
+    // JPEG has no alpha: paint transparent areas white instead of black
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, width, height);
+  }
+  ctx.drawImage(img, 0, 0, width, height);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("Image encoding failed"))), type, quality);
+  });
+}
+
+/* ---------- processImageFile: { image, thumbnail, width, height } ---------- */
+// onProgress receives 0..1 for the local part of the pipeline (read, decode, encode)
+export async function processImageFile(file, { settings = imageSettings, onProgress = () => {} } = {}) {
+  if (!file.type.startsWith("image/")) throw new Error(`${file.name || "File"} is not an image`);
+
+  const buffer = await readFile(file, (p) => onProgress(p * 0.5));
+  const original = new Blob([buffer], { type: file.type });
+  const img = await decode(original);
+  onProgress(0.6);
+
+  // some SVGs have no intrinsic size
+  const naturalWidth = img.naturalWidth || 300;
+  const naturalHeight = img.naturalHeight || 150;
+  const target = fit(naturalWidth, naturalHeight, settings.maxDimension);
+  const outType = file.type === "image/jpeg" ? "image/jpeg" : "image/webp";
+
+  let image = original;
+  let size = { width: naturalWidth, height: naturalHeight };
+  if (!PASSTHROUGH_TYPES.includes(file.type)) {
+    const encoded = await render(img, target, outType, settings.quality);
+    // keep the original when it is already small enough and re-encoding would only grow it
+    const resized = target.width !== naturalWidth || target.height !== naturalHeight;
+    if (resized || encoded.size < original.size) {
+      image = encoded;
+      size = target;
+    }
+  }
+  onProgress(0.85);
+
+  const thumbnail = await render(img, fit(naturalWidth, naturalHeight, settings.thumbnailSize), "image/webp", 0.7);
+  onProgress(1);
+
+  return { image, thumbnail, ...size };
+}
@@ -0,0 +1,28 @@
+// src/images/quillImageBlot.js
+// Quill image format that understands stored "idb://" refs: the DOM shows an object URL,
+// while data-ref keeps the ref so Quill's delta (and saved HTML) never contain blob: URLs
+import Quill from "quill";
+import { isImageRef, getCachedImageUrl, resolveImageUrl } from "./imageStore.js";
+
+const BaseImage = Quill.import("formats/image");
+const PLACEHOLDER = "data:image/gif;base64,R0lGODlhAQABAAAAACH5BAEKAAEALAAAAAABAAEAAAICTAEAOw==";
+
+class StoredImage extends BaseImage {
+  static create(value) {
+    if (!isImageRef(value)) return super.create(value);
+    const node = super.create(PLACEHOLDER);
+    node.setAttribute("data-ref", value);
+    const cached = getCachedImageUrl(value);
+    if (cached) node.setAttribute("src", cached);
+    else resolveImageUrl(value).then((url) => node.setAttribute("src", url)).catch((err) => console.warn(err.message));
+    return node;
+  }
+
+  static value(domNode) {
+    return domNode.getAttribute("data-ref") || domNode.getAttribute("src");
+  }
+}
+
+export function registerStoredImageBlot() {
+  Quill.register("formats/image", StoredImage, true);
+}
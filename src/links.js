@@ -0,0 +1,24 @@
+// src/links.js
+// which links a post may contain: web, mail and phone links, in-page #anchors and site-relative paths
+
+const SAFE_PROTOCOLS = ["http:", "https:", "mailto:", "tel:"];
+
+// "example.com/page" has no scheme; "localhost:3000" is a host and port, not a "localhost:" scheme
+const HAS_SCHEME = /^[a-z][a-z0-9+.-]*:(?!\d)/i;
+
+// { url } ready to insert (bare domains get https://), or { error } saying what is wrong with it
+export function checkLinkUrl(raw) {
+  const value = (raw || "").trim();
+  if (!value) return { error: "Enter a link URL" };
+  if (/^#\S+$/.test(value) || /^\/(?!\/)\S*$/.test(value)) return { url: value };
+
+  // the URL parser is what the browser uses too: it drops tabs and line breaks ("java\tscript:") and lower-cases the scheme
+  let url;
+  try { url = new URL(HAS_SCHEME.test(value) ? value : `https://${value}`); } catch { return { error: "This is not a valid URL" }; }
+  if (!SAFE_PROTOCOLS.includes(url.protocol)) return { error: `${url.protocol.slice(0, -1)}: links are not allowed` };
+  if (url.protocol.startsWith("http") && !(url.hostname.includes(".") || url.hostname === "localhost" || url.hostname.startsWith("["))) {
+    return { error: "The address needs a domain name, like example.com" };
+  }
+  if (!url.protocol.startsWith("http") && !url.pathname) return { error: `The ${url.protocol.slice(0, -1)}: link has no address` };
+  return { url: url.href };
+}
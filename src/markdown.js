@@ -0,0 +1,397 @@
+// src/markdown.js
+// Markdown <-> editor HTML for the formats the editor supports (headings, bold, italic, underline, strike,
+// inline code, ordered/bullet lists, links, images, blockquotes, fenced code, tables, rules, video embeds).
+// Underline has no Markdown syntax and is kept as <u>; embeds are kept as raw <iframe> lines.
+import { codeLanguage } from "./editor/highlight.js";
+import { isEmbedUrl } from "./editor/embeds.js";
+import { sizeHeadingLevel } from "./headings.js";
+
+const escapeHtml = (s) => s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+/* ---------- Markdown -> HTML ---------- */
+
+// placeholders keep generated HTML (and escaped characters) away from later regex passes
+function createStash() {
+  const items = [];
+  return {
+    hold: (html) => `\uE000${items.push(html) - 1}\uE000`,
+    restore(text) {
+      let out = text;
+      while (/\uE000\d+\uE000/.test(out)) out = out.replace(/\uE000(\d+)\uE000/g, (_, i) => items[Number(i)]);
+      return out;
+    },
+  };
+}
+
+function emphasis(text) {
+  return text
+    .replace(/\*\*\*(?=\S)([\s\S]*?\S)\*\*\*/g, "<strong><em>$1</em></strong>")
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, "<strong>$1</strong>")
+    .replace(/__(?=\S)([\s\S]*?\S)__/g, "<strong>$1</strong>")
+    .replace(/\*(?=\S)([\s\S]*?\S)\*/g, "<em>$1</em>")
+    .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, "$1<em>$2</em>")
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, "<s>$1</s>");
+}
+
+const MD_ESCAPE = /\\([\\`*_{}[\]()#+\-.!~<>|])/g;
+
+function renderInline(text) {
+  const stash = createStash();
+  // code spans first: nothing inside them is Markdown
+  let out = text.replace(/(`+)(?!`)([\s\S]*?[^`])\1(?!`)/g, (_, ticks, code) => stash.hold(`<code>${escapeHtml(code.replace(/^ ([\s\S]*) $/, "$1"))}</code>`));
+  out = out.replace(MD_ESCAPE, (_, ch) => stash.hold(escapeHtml(ch)));
+  out = out.replace(/<u>([\s\S]*?)<\/u>/g, (_, inner) => stash.hold(`<u>${renderInline(inner)}</u>`));
+  out = escapeHtml(out);
+  out = out.replace(/!\[([^\]]*)\]\(\s*(?:&lt;)?([^)\s]+?)(?:&gt;)?(?:\s+&quot;[^)]*?&quot;)?\s*\)/g, (_, alt, src) => stash.hold(`<img src="${src}" alt="${alt}">`));
+  out = out.replace(/\[([^\]]+)\]\(\s*(?:&lt;)?([^)\s]+?)(?:&gt;)?(?:\s+&quot;[^)]*?&quot;)?\s*\)/g, (_, label, href) => stash.hold(`<a href="${href}">${emphasis(label)}</a>`));
+  out = out.replace(/&lt;(https?:\/\/[^\s&]+)&gt;/g, (_, href) => stash.hold(`<a href="${href}">${href}</a>`));
+  return stash.restore(emphasis(out));
+}
+
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const EMBED_LINE = /^\s*<iframe\b[^>]*\bsrc="([^"]+)"[^>]*>\s*<\/iframe>\s*$/i;
+
+// "| a | b \| c |" -> ["a", "b | c"]; cells are plain text in the editor's tables
+const tableCells = (line) => line.trim().replace(/^\|/, "").replace(/(^|[^\\])\|$/, "$1").split(/(?<!\\)\|/).map((c) => c.trim().replace(MD_ESCAPE, "$1"));
+
+function tableHtml(rows) {
+  const columns = Math.max(...rows.map((r) => r.length));
+  const cells = (row, tag) => Array.from({ length: columns }, (_, i) => `<${tag}>${escapeHtml(row[i] ?? "")}</${tag}>`).join("");
+  const [head, ...body] = rows;
+  return `<table class="post-table"><thead><tr>${cells(head, "th")}</tr></thead><tbody>${body.map((r) => `<tr>${cells(r, "td")}</tr>`).join("")}</tbody></table>`;
+}
+
+export function markdownToHtml(md) {
+  const lines = (md || "").replace(/\r\n?/g, "\n").split("\n");
+  const html = [];
+  let para = [];
+  let list = null; // { tag: "ol" | "ul", items: [] }
+  let fence = null; // { marker, language, lines } of an open fenced code block
+  let quote = null; // lines of the current blockquote paragraph
+  let table = null; // rows of the current pipe table, header first
+  let blankSeen = false;
+
+  const flushPara = () => {
+    if (!para.length) return;
+    // a line ending in two spaces or a backslash is a hard break, which the editor keeps as a new paragraph
+    const text = para.map((l, i) => (i < para.length - 1 && /( {2,}|\\)$/.test(l) ? l.replace(/( {2,}|\\)$/, "\uE001") : l)).join(" ");
+    text.split(/\uE001 ?/).forEach((part) => html.push(`<p>${renderInline(part.trim())}</p>`));
+    para = [];
+  };
+  const flushList = () => {
+    if (!list) return;
+    html.push(`<${list.tag}>${list.items.map((it) => `<li>${renderInline(it.trim())}</li>`).join("")}</${list.tag}>`);
+    list = null;
+  };
+  const flushQuote = () => {
+    if (!quote) return;
+    if (quote.length) html.push(`<blockquote>${renderInline(quote.join(" ").trim())}</blockquote>`);
+    quote = null;
+  };
+  const flushTable = () => {
+    if (table) html.push(tableHtml(table));
+    table = null;
+  };
+  const flushFence = () => {
+    const lang = fence.language && fence.language !== "plaintext" ? ` data-language="${fence.language}"` : "";
+    html.push(`<pre${lang}>${fence.lines.map(escapeHtml).join("\n")}\n</pre>`);
+    fence = null;
+  };
+  const flushAll = () => { flushPara(); flushList(); flushQuote(); flushTable(); };
+
+  lines.forEach((line) => {
+    if (fence) {
+      if (line.trim().startsWith(fence.marker) && !line.trim().slice(fence.marker.length).trim()) flushFence();
+      else fence.lines.push(line);
+      return;
+    }
+    const open = line.match(/^\s*(`{3,}|~{3,})\s*([\w+#-]*)/);
+    if (open) { flushAll(); fence = { marker: open[1], language: codeLanguage(open[2]), lines: [] }; return; }
+
+    if (!line.trim()) { flushPara(); flushQuote(); flushTable(); blankSeen = true; return; }
+
+    if (table) {
+      if (line.includes("|")) { table.push(tableCells(line)); return; }
+      flushTable();
+    }
+    // a divider row turns the paragraph line above it into a table header
+    if (TABLE_DIVIDER.test(line) && line.includes("|") && para.length && para[para.length - 1].includes("|")) {
+      const header = para.pop();
+      flushPara(); flushList();
+      table = [tableCells(header)];
+      return;
+    }
+
+    const embed = line.match(EMBED_LINE);
+    if (embed && isEmbedUrl(embed[1])) {
+      flushAll();
+      html.push(`<iframe class="ql-video" frameborder="0" allowfullscreen="true" src="${escapeHtml(embed[1])}"></iframe>`);
+      return;
+    }
+
+    const quoted = line.match(/^\s*>\s?(.*)$/);
+    if (quoted) {
+      flushPara(); flushList();
+      if (!quoted[1].trim()) { flushQuote(); quote = []; return; }
+      if (!quote) quote = [];
+      quote.push(quoted[1]);
+      blankSeen = false;
+      return;
+    }
+    if (quote && !blankSeen) { quote.push(line); return; } // lazy continuation
+    flushQuote();
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      flushPara(); flushList();
+      const level = heading[1].length;
+      html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      blankSeen = false;
+      return;
+    }
+
+    // setext headings: a paragraph underlined with === or ---
+    if (para.length && /^(=+|-+)\s*$/.test(line)) {
+      const level = line.trim()[0] === "=" ? 1 : 2;
+      const text = para.join(" ");
+      para = [];
+      html.push(`<h${level}>${renderInline(text)}</h${level}>`);
+      return;
+    }
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) { flushPara(); flushList(); html.push("<hr>"); return; }
+
+    const item = line.match(LIST_ITEM);
+    if (item) {
+      flushPara();
+      const tag = /\d/.test(item[2]) ? "ol" : "ul";
+      if (list && list.tag !== tag) flushList();
+      if (!list) list = { tag, items: [] };
+      list.items.push(item[3]);
+      blankSeen = false;
+      return;
+    }
+
+    if (list && !blankSeen && /^\s+\S/.test(line)) {
+      list.items[list.items.length - 1] += ` ${line.trim()}`;
+      return;
+    }
+
+    flushList();
+    para.push(line);
+    blankSeen = false;
+  });
+
+  if (fence) flushFence();
+  flushAll();
+  return html.join("");
+}
+
+/* ---------- HTML -> Markdown ---------- */
+
+const escapeMarkdown = (text) => text.replace(/\u00a0/g, " ").replace(/([\\`*_[\]~<])/g, "\\$1");
+
+// characters that would turn a paragraph into a heading, list or quote
+const escapeBlockStart = (s) => s
+  .replace(/^(#{1,6}\s)/, "\\$1")
+  .replace(/^([-+>])(\s)/, "\\$1$2")
+  .replace(/^(\d+)([.)])(\s)/, "$1\\$2$3");
+
+const mdUrl = (url) => (url || "").replace(/ /g, "%20").replace(/\(/g, "%28").replace(/\)/g, "%29");
+
+// keep surrounding whitespace outside the delimiters (`** bold **` is not bold in Markdown)
+function wrap(inner, open, close = open) {
+  const m = inner.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return m[2] ? `${m[1]}${open}${m[2]}${close}${m[3]}` : inner;
+}
+
+function inlineMarkdown(node) {
+  let out = "";
+  node.childNodes.forEach((child) => {
+    if (child.nodeType === 3) { out += escapeMarkdown(child.nodeValue); return; }
+    if (child.nodeType !== 1) return;
+    const tag = child.tagName;
+    if (tag === "IMG") { out += `![${escapeMarkdown(child.getAttribute("alt") || "")}](${mdUrl(child.getAttribute("src"))})`; return; }
+    if (tag === "BR") { out += "\\\n"; return; }
+    if (tag === "CODE") { out += codeSpan(child.textContent); return; }
+    const inner = inlineMarkdown(child);
+    if (tag === "STRONG" || tag === "B") out += wrap(inner, "**");
+    else if (tag === "EM" || tag === "I") out += wrap(inner, "_");
+    else if (tag === "S" || tag === "STRIKE" || tag === "DEL") out += wrap(inner, "~~");
+    else if (tag === "U") out += wrap(inner, "<u>", "</u>");
+    else if (tag === "A") out += `[${inner}](${mdUrl(child.getAttribute("href"))})`;
+    else out += inner;
+  });
+  return out;
+}
+
+// enough backticks to fence the code, padded when it starts or ends with one
+function codeSpan(code) {
+  if (!code) return "";
+  const longest = Math.max(0, ...(code.match(/`+/g) || []).map((run) => run.length));
+  const ticks = "`".repeat(longest + 1);
+  const pad = /^`|`$/.test(code) ? " " : "";
+  return `${ticks}${pad}${code}${pad}${ticks}`;
+}
+
+function codeFence(pre) {
+  const code = pre.textContent.replace(/\n$/, "");
+  const longest = Math.max(2, ...(code.match(/^\s*`{3,}/gm) || []).map((run) => run.trim().length));
+  const fence = "`".repeat(longest + 1);
+  const language = pre.getAttribute("data-language") || "";
+  return `${fence}${language === "plaintext" ? "" : language}\n${code}\n${fence}`;
+}
+
+const tableRow = (cells) => `| ${cells.map((c) => escapeMarkdown(c.textContent.trim()).replace(/\|/g, "\\|") || " ").join(" | ")} |`;
+
+function tableMarkdown(table) {
+  const [head, ...body] = [...table.querySelectorAll("tr")].map((tr) => [...tr.children]);
+  if (!head) return "";
+  return [tableRow(head), `| ${head.map(() => "---").join(" | ")} |`, ...body.map(tableRow)].join("\n");
+}
+
+export function htmlToMarkdown(html) {
+  const tpl = document.createElement("template");
+  tpl.innerHTML = html || "";
+  const blocks = [];
+
+  const walk = (parent) => {
+    let loose = document.createElement("p"); // inline nodes that sit directly in a container
+    const flushLoose = () => {
+      if (loose.childNodes.length) {
+        const text = inlineMarkdown(loose).trim();
+        if (text) blocks.push(escapeBlockStart(text));
+      }
+      loose = document.createElement("p");
+    };
+
+    [...parent.childNodes].forEach((node) => {
+      const tag = node.nodeType === 1 ? node.tagName : null;
+      if (tag && /^H[1-6]$/.test(tag)) {
+        flushLoose();
+        const text = inlineMarkdown(node).trim();
+        if (text) blocks.push(`${"#".repeat(Number(tag[1]))} ${text}`);
+      } else if (tag === "P") {
+        flushLoose();
+        const level = sizeHeadingLevel(node);
+        const text = inlineMarkdown(node).replace(/\\\n$/, "").trim();
+        if (text) blocks.push(level ? `${"#".repeat(level)} ${text}` : escapeBlockStart(text));
+      } else if (tag === "BLOCKQUOTE") {
+        flushLoose();
+        const text = inlineMarkdown(node).replace(/\\\n$/, "").trim();
+        if (text) blocks.push(text.split("\n").map((l) => `> ${l}`).join("\n"));
+      } else if (tag === "PRE") {
+        flushLoose();
+        blocks.push(codeFence(node));
+      } else if (tag === "HR") {
+        flushLoose();
+        blocks.push("---");
+      } else if (tag === "TABLE") {
+        flushLoose();
+        const text = tableMarkdown(node);
+        if (text) blocks.push(text);
+      } else if (tag === "IFRAME") {
+        flushLoose();
+        if (node.getAttribute("src")) blocks.push(`<iframe src="${escapeHtml(node.getAttribute("src"))}"></iframe>`);
+      } else if (tag === "OL" || tag === "UL") {
+        flushLoose();
+        let n = 0;
+        const items = [...node.children].filter((li) => li.tagName === "LI").map((li) => {
+          const depth = Number(([...li.classList].find((c) => c.startsWith("ql-indent-")) || "ql-indent-0").slice(10));
+          const marker = tag === "OL" ? `${++n}.` : "-";
+          return `${"   ".repeat(depth)}${marker} ${escapeBlockStart(inlineMarkdown(li).trim())}`;
+        });
+        if (items.length) blocks.push(items.join("\n"));
+      } else if (tag === "DIV" || tag === "FIGURE" || tag === "SECTION" || tag === "ARTICLE") {
+        flushLoose();
+        walk(node);
+      } else if (tag === "FIGCAPTION") {
+        flushLoose();
+        const text = inlineMarkdown(node).trim();
+        if (text) blocks.push(`_${text}_`);
+      } else {
+        loose.appendChild(node.cloneNode(true));
+      }
+    });
+    flushLoose();
+  };
+
+  walk(tpl.content);
+  return blocks.join("\n\n") + (blocks.length ? "\n" : "");
+}
+
+/* ---------- YAML front matter ---------- */
+
+// JSON strings are valid double-quoted YAML scalars; booleans stay bare
+const yamlValue = (v) => {
+  if (Array.isArray(v)) return `[${v.map((x) => JSON.stringify(String(x))).join(", ")}]`;
+  return typeof v === "boolean" ? String(v) : JSON.stringify(String(v));
+};
+
+export function toFrontMatter(data) {
+  const lines = Object.entries(data).filter(([, v]) => v !== undefined && v !== null).map(([k, v]) => `${k}: ${yamlValue(v)}`);
+  return `---\n${lines.join("\n")}\n---\n\n`;
+}
+
+function parseYamlScalar(raw) {
+  const v = raw.trim();
+  if (v.startsWith("\"")) { try { return JSON.parse(v); } catch { return v.slice(1, -1); } }
+  if (v.startsWith("'")) return v.slice(1, -1).replace(/''/g, "'");
+  return v;
+}
+
+// [a, "b, c", 'd'] -> ["a", "b, c", "d"]: each item is read whole, so commas inside quotes stay in the value
+function parseFlowList(inner) {
+  const items = [];
+  const item = /\s*("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,]*)\s*(,|$)/y;
+  let m;
+  while (item.lastIndex < inner.length && (m = item.exec(inner))) {
+    items.push(parseYamlScalar(m[1]));
+    if (!m[2]) break;
+  }
+  return items.filter(Boolean);
+}
+
+// supports the flat subset we write: scalars, [inline, lists] and "- item" block lists
+export function parseFrontMatter(md) {
+  const text = (md || "").replace(/\r\n?/g, "\n");
+  const match = text.match(/^---\n([\s\S]*?)\n---[ \t]*(?:\n|$)/);
+  if (!match) return { data: {}, body: text };
+
+  const data = {};
+  let listKey = null;
+  match[1].split("\n").forEach((line) => {
+    const item = line.match(/^\s+-\s+(.*)$/);
+    if (item && listKey) { data[listKey].push(parseYamlScalar(item[1])); return; }
+    const kv = line.match(/^([\w-]+):\s*(.*)$/);
+    if (!kv) return;
+    const [, key, value] = kv;
+    listKey = null;
+    if (!value.trim()) { data[key] = []; listKey = key; }
+    else if (value.trim().startsWith("[")) {
+      const inner = value.trim().replace(/^\[|\]$/g, "");
+      data[key] = parseFlowList(inner);
+    } else data[key] = parseYamlScalar(value);
+  });
+  return { data, body: text.slice(match[0].length) };
+}
+
+/* ---------- whole posts ---------- */
+export function postToMarkdown({ title, contentHtml, tags, createdAt, toc }) {
+  return toFrontMatter({ title: title || "Untitled Post", tags: tags || [], createdAt, toc: toc ? true : undefined }) + htmlToMarkdown(contentHtml);
+}
+
+// { title, tags, createdAt, toc, contentHtml } from a Markdown file (front matter is optional)
+export function markdownToPost(md) {
+  const { data, body } = parseFrontMatter(md);
+  const tags = Array.isArray(data.tags) ? data.tags : typeof data.tags === "string" && data.tags ? data.tags.split(",").map((t) => t.trim()) : [];
+  return {
+    title: typeof data.title === "string" ? data.title : "",
+    tags: tags.filter(Boolean),
+    createdAt: data.createdAt || null,
+    toc: data.toc === "true",
+    contentHtml: markdownToHtml(body),
+  };
+}
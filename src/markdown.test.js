@@ -0,0 +1,32 @@
+// src/markdown.test.js
+// YAML front matter: inline lists with quoted values, block lists, and the round trip through postToMarkdown
+import { describe, expect, it } from "vitest";
+import { markdownToPost, parseFrontMatter, toFrontMatter } from "./markdown.js";
+
+const tagsOf = (line) => parseFrontMatter(`---\n${line}\n---\n`).data.tags;
+
+describe("parseFrontMatter", () => {
+  it.each([
+    [`tags: ["a", "b,c"]`, ["a", "b,c"]],
+    [`tags: ['a', 'b, c', 'it''s']`, ["a", "b, c", "it's"]],
+    [`tags: [plain, "quoted, with comma", 'single']`, ["plain", "quoted, with comma", "single"]],
+    [`tags: ["say \\"hi\\", then go"]`, [`say "hi", then go`]],
+    [`tags: [a,b , c,]`, ["a", "b", "c"]],
+    [`tags: []`, []],
+  ])("reads %s", (line, tags) => {
+    expect(tagsOf(line)).toEqual(tags);
+  });
+
+  it("reads block lists and scalars and returns the body", () => {
+    const { data, body } = parseFrontMatter(`---\ntitle: "Hello, world"\ntags:\n  - "x, y"\n  - z\ntoc: true\n---\n\n# Hi\n`);
+    expect(data).toEqual({ title: "Hello, world", tags: ["x, y", "z"], toc: "true" });
+    expect(body).toBe("\n# Hi\n");
+  });
+});
+
+describe("front matter round trip", () => {
+  it("keeps tags that contain commas and quotes", () => {
+    const tags = ["a", "b,c", `say "hi"`, "it's"];
+    expect(markdownToPost(`${toFrontMatter({ title: "T", tags })}Body\n`).tags).toEqual(tags);
+  });
+});
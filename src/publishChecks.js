@@ -0,0 +1,59 @@
+// src/publishChecks.js
+// the checklist a post goes through before it goes live; each rule blocks publishing, only warns, or is off
+import { findImagesMissingAlt } from "./images/imageMeta.js";
+import { checkLinkUrl } from "./links.js";
+
+export const PUBLISH_RULES = [
+  { id: "missingAlt", label: "Every image has alt text", level: "block" },
+  { id: "badLinks", label: "Links are well-formed and safe", level: "block" },
+  { id: "emptyHeadings", label: "No empty headings", level: "warn" },
+  { id: "duplicateTitle", label: "No other post has this title", level: "warn" },
+  { id: "missingTags", label: "The post has tags", level: "warn" },
+];
+
+const LEVELS = ["block", "warn", "off"];
+
+// "duplicateTitle:block,missingTags:off" (VITE_PUBLISH_RULES) changes the defaults above
+export function parseRuleLevels(config) {
+  const levels = Object.fromEntries(PUBLISH_RULES.map((r) => [r.id, r.level]));
+  (config || "").split(",").map((entry) => entry.trim()).filter(Boolean).forEach((entry) => {
+    const [id, level] = entry.split(":").map((s) => s.trim());
+    if (id in levels && LEVELS.includes(level)) levels[id] = level;
+    else console.warn(`VITE_PUBLISH_RULES: ignoring "${entry}"`);
+  });
+  return levels;
+}
+
+export const publishRuleLevels = parseRuleLevels(import.meta.env.VITE_PUBLISH_RULES);
+
+const titleKey = (title) => (title || "").trim().toLowerCase().replace(/\s+/g, " ");
+
+// Quill turns links with a scheme it does not allow into about:blank, so those are reported as removed
+function linkProblem(a) {
+  const href = (a.getAttribute("href") || "").trim();
+  const text = a.textContent.trim() || href;
+  if (!href || href === "about:blank") return `“${text}” points nowhere (its unsafe or invalid address was removed)`;
+  const { error } = checkLinkUrl(href);
+  return error ? `“${text}”: ${error}` : null;
+}
+
+// [{ id, label, level, problems: [string] }] for every rule that is not off; no problems = passed
+export function runPublishChecks({ title, html, tags, images, postId, posts }, levels = publishRuleLevels) {
+  const tpl = document.createElement("template");
+  tpl.innerHTML = html || "";
+  const problemsOf = {
+    missingAlt: () => findImagesMissingAlt(html, images).map((name) => `${name} has no alt text (click the image to edit its properties)`),
+    badLinks: () => [...tpl.content.querySelectorAll("a")].map(linkProblem).filter(Boolean),
+    emptyHeadings: () => {
+      const empty = [...tpl.content.querySelectorAll("h1, h2, h3, h4, h5, h6")].filter((h) => !h.textContent.trim());
+      return empty.length ? [`${empty.length} heading${empty.length === 1 ? " has" : "s have"} no text`] : [];
+    },
+    duplicateTitle: () => posts
+      .filter((p) => p.id !== postId && titleKey(p.title) === titleKey(title))
+      .map((p) => `“${p.title.trim()}”${p.author ? ` by ${p.author.name}` : ""} already uses it`),
+    missingTags: () => (tags.length ? [] : ["Add at least one tag so readers can find the post"]),
+  };
+  return PUBLISH_RULES
+    .filter((rule) => levels[rule.id] !== "off")
+    .map((rule) => ({ ...rule, level: levels[rule.id], problems: problemsOf[rule.id]() }));
+}
@@ -0,0 +1,59 @@
+// src/router.js
+// minimal History API router: the URL path decides which screen BlogApp shows
+import { useEffect, useState } from "react";
+
+// the app may be served from a sub-path (vite `base`)
+const BASE = (import.meta.env.BASE_URL || "/").replace(/\/+$/, "");
+
+const listeners = new Set();
+
+const currentPath = () => {
+  const path = window.location.pathname;
+  return (BASE && path.startsWith(BASE) ? path.slice(BASE.length) : path) || "/";
+};
+
+export function navigate(path, { replace = false } = {}) {
+  if (path === currentPath()) return;
+  window.history[replace ? "replaceState" : "pushState"](null, "", BASE + path);
+  listeners.forEach((notify) => notify());
+}
+
+// re-renders on navigate() and on browser back/forward
+export function usePath() {
+  const [path, setPath] = useState(currentPath);
+  useEffect(() => {
+    const update = () => setPath(currentPath());
+    listeners.add(update);
+    window.addEventListener("popstate", update);
+    return () => {
+      listeners.delete(update);
+      window.removeEventListener("popstate", update);
+    };
+  }, []);
+  return path;
+}
+
+export const routes = {
+  editor: () => "/",
+  posts: () => "/posts",
+  drafts: () => "/drafts",
+  article: (slug) => `/p/${encodeURIComponent(slug)}`,
+  tagAdmin: () => "/tags",
+  tag: (tag) => `/tags/${encodeURIComponent(tag)}`,
+};
+
+// path -> { name, ...params }; unknown paths are { name: "notFound" }
+export function matchRoute(path) {
+  let parts;
+  try { parts = path.split("/").filter(Boolean).map(decodeURIComponent); } catch { return { name: "notFound" }; }
+  if (parts.length === 0) return { name: "editor" };
+  if (parts.length === 1 && (parts[0] === "posts" || parts[0] === "drafts")) return { name: parts[0] };
+  if (parts.length === 1 && parts[0] === "tags") return { name: "tagAdmin" };
+  if (parts.length === 2 && parts[0] === "p") return { name: "article", slug: parts[1] };
+  if (parts.length === 2 && parts[0] === "tags") return { name: "tag", tag: parts[1] };
+  return { name: "notFound" };
+}
+
+// href for <a> elements, and the absolute URL for sharing
+export const routeHref = (path) => BASE + path;
+export const routeUrl = (path) => window.location.origin + BASE + path;
@@ -0,0 +1,187 @@
+// src/sanitize.js
+// the one DOMPurify setup for post HTML: pasted content, what publishing stores, and rendering (preview, reader, exports)
+import DOMPurify from "dompurify";
+import { IMAGE_REF_PREFIX, dehydrateImageRefs } from "./images/imageStore.js";
+import { applyImageMeta } from "./images/imageMeta.js";
+import { isEmbedUrl } from "./editor/embeds.js";
+import { highlightCodeBlocks } from "./editor/highlight.js";
+import { addHeadingAnchors, migrateSizeHeadings } from "./headings.js";
+
+/* ---------- allowlist ---------- */
+
+// everything the editor, the Markdown converter and the render steps produce; data-* attributes (data-ref,
+// data-language, Quill's data-checked) are always kept. iframes are further limited to the players in editor/embeds.js,
+// and idb: is our own image ref scheme (resolved to object URLs or files after sanitizing)
+export const DEFAULT_ALLOWLIST = {
+  tags: [
+    "p", "br", "span", "strong", "b", "em", "i", "u", "s", "strike", "sub", "sup", "code", "a",
+    "h1", "h2", "h3", "h4", "h5", "h6", "blockquote", "pre", "ol", "ul", "li", "hr",
+    "img", "figure", "figcaption", "table", "thead", "tbody", "tr", "th", "td", "iframe",
+  ],
+  attributes: [
+    "href", "target", "rel", "src", "alt", "title", "width", "height", "class", "style", "id",
+    "colspan", "rowspan", "start", "allowfullscreen", "frameborder",
+  ],
+  schemes: ["http", "https", "mailto", "tel", "idb"],
+};
+
+const NAME = /^[a-z][a-z0-9+.-]*$/;
+
+// "sup,-iframe" adds sup and removes iframe; names are lower-cased, anything else is ignored with a warning
+export function parseAllowlist(defaults, config, setting = "allowlist") {
+  const list = new Set(defaults);
+  (config || "").split(",").map((entry) => entry.trim().toLowerCase()).filter(Boolean).forEach((entry) => {
+    const remove = entry.startsWith("-");
+    const name = remove ? entry.slice(1) : entry;
+    if (!NAME.test(name)) console.warn(`${setting}: ignoring "${entry}"`);
+    else if (remove) list.delete(name);
+    else list.add(name);
+  });
+  return [...list];
+}
+
+export const allowlist = {
+  tags: parseAllowlist(DEFAULT_ALLOWLIST.tags, import.meta.env.VITE_HTML_ALLOWED_TAGS, "VITE_HTML_ALLOWED_TAGS"),
+  attributes: parseAllowlist(DEFAULT_ALLOWLIST.attributes, import.meta.env.VITE_HTML_ALLOWED_ATTRS, "VITE_HTML_ALLOWED_ATTRS"),
+  schemes: parseAllowlist(DEFAULT_ALLOWLIST.schemes, import.meta.env.VITE_HTML_URL_SCHEMES, "VITE_HTML_URL_SCHEMES"),
+};
+
+// same shape as DOMPurify's own URI check: an allowed scheme, or a URL without one (#anchor, /path, page.html)
+const uriPattern = (schemes) =>
+  new RegExp(`^(?:(?:${schemes.map((s) => s.replace(/[+.]/g, "\\$&")).join("|")}):|[^a-z]|[a-z+.-]+(?:[^a-z+.\\-:]|$))`, "i");
+
+export function purifyConfig(list = allowlist) {
+  return {
+    ALLOWED_TAGS: list.tags,
+    ALLOWED_ATTR: list.attributes,
+    ALLOWED_URI_REGEXP: uriPattern(list.schemes),
+  };
+}
+
+export const PURIFY_CONFIG = purifyConfig();
+
+DOMPurify.addHook("uponSanitizeElement", (node, data) => {
+  if (data.tagName === "iframe" && !isEmbedUrl(node.getAttribute("src"))) node.parentNode?.removeChild(node);
+});
+
+DOMPurify.addHook("afterSanitizeAttributes", (node) => {
+  // links that open a new tab get no handle on this one
+  if (node.tagName === "A" && node.getAttribute("target") === "_blank") node.setAttribute("rel", "noopener noreferrer");
+  // embedded players get no top-level navigation and no referrer
+  if (node.tagName !== "IFRAME") return;
+  node.setAttribute("sandbox", "allow-scripts allow-same-origin allow-popups allow-presentation");
+  node.setAttribute("referrerpolicy", "strict-origin-when-cross-origin");
+  node.setAttribute("loading", "lazy");
+});
+
+export const sanitizeHtml = (html) => DOMPurify.sanitize(html || "", PURIFY_CONFIG);
+
+/* ---------- publishing ---------- */
+
+// Quill leaves runs of empty paragraphs and line breaks, plus blank lines at either end
+function collapseBlankLines(html) {
+  return (html || "").trim()
+    .replace(/<p>(\s|&nbsp;|<br\s*\/?>)*<\/p>/gi, "<p></p>")
+    .replace(/(<p>\s*<\/p>\s*){2,}/gi, "<p></p>")
+    .replace(/^(<p>\s*<\/p>\s*)+/i, "")
+    .replace(/(<p>\s*<\/p>\s*)+$/i, "")
+    .replace(/(<br\s*\/?>\s*){2,}/gi, "<br/>")
+    .trim();
+}
+
+// editor HTML (image refs already dehydrated) -> what a post stores as contentHtml
+export const cleanPostHtml = (html) => sanitizeHtml(collapseBlankLines(html));
+
+/* ---------- pasting ---------- */
+
+// pasted formatting comes from the tags; Word and Google Docs express it as inline styles instead
+const STYLE_TAGS = [
+  [/font-weight\s*:\s*(?:bold|[6-9]00)/i, "strong"],
+  [/font-style\s*:\s*italic/i, "em"],
+  [/text-decoration[^;]*underline/i, "u"],
+  [/text-decoration[^;]*line-through/i, "s"],
+  [/vertical-align\s*:\s*super/i, "sup"],
+  [/vertical-align\s*:\s*sub/i, "sub"],
+];
+
+// what survives a paste: no styles, ids or foreign classes, only Quill's own alignment and indent classes
+const PASTE_ATTRIBUTES = ["href", "src", "alt", "title", "colspan", "rowspan", "start", "class"];
+const QUILL_CLASS = /^ql-(?:align|indent|direction)-/;
+
+const unwrap = (el) => el.replaceWith(...el.childNodes);
+
+// Word list paragraphs (style="mso-list:l0 level1 lfo1") -> one <ul>/<ol> per run; nested levels end up flat
+function wordLists(root) {
+  let list = null;
+  root.querySelectorAll("p").forEach((p) => {
+    if (!/mso-list\s*:\s*l\d/i.test(p.getAttribute("style") || "")) {
+      list = null;
+      return;
+    }
+    const marker = p.querySelector("span[style*='mso-list']");
+    const tag = /^\s*[\da-z]{1,3}[.)]/i.test(marker?.textContent || "") ? "OL" : "UL";
+    marker?.remove();
+    if (!list || list.tagName !== tag || list.nextElementSibling !== p) {
+      list = document.createElement(tag);
+      p.before(list);
+    }
+    const li = document.createElement("li");
+    li.append(...p.childNodes);
+    list.appendChild(li);
+    p.remove();
+  });
+}
+
+// clipboard HTML from Word, Google Docs or web pages -> tidy HTML for Quill's clipboard; formatting becomes tags,
+// the rest (styles, classes, conditional comments, <o:p>, local or inline images) goes
+export function cleanPastedHtml(html) {
+  const tpl = document.createElement("template");
+  tpl.innerHTML = html || "";
+  const root = tpl.content;
+
+  root.querySelectorAll("style, meta, link, title, script, xml").forEach((el) => el.remove());
+  // <o:p>, <v:shape>, <w:sdt>...: Office markup that means nothing outside Office
+  [...root.querySelectorAll("*")].filter((el) => el.tagName.includes(":")).forEach((el) => el.remove());
+  // Google Docs wraps the whole paste in <b id="docs-internal-guid-..." style="font-weight:normal">
+  root.querySelectorAll("b[id^='docs-internal-guid']").forEach(unwrap);
+  wordLists(root);
+
+  root.querySelectorAll("[style]").forEach((el) => {
+    const style = el.getAttribute("style");
+    STYLE_TAGS.filter(([re]) => re.test(style)).forEach(([, tag]) => {
+      if (el.closest(tag)) return;
+      const wrapper = document.createElement(tag);
+      wrapper.append(...el.childNodes);
+      el.appendChild(wrapper);
+    });
+  });
+  root.querySelectorAll("[class]").forEach((el) => {
+    const keep = [...el.classList].filter((c) => QUILL_CLASS.test(c));
+    if (keep.length) el.className = keep.join(" ");
+    else el.removeAttribute("class");
+  });
+  // images copied within the editor keep their stored ref; file:///C:/... and cid: images from Word cannot load,
+  // and data: images would bypass the image pipeline
+  root.querySelectorAll("img").forEach((img) => {
+    const ref = img.getAttribute("data-ref") || "";
+    if (ref.startsWith(IMAGE_REF_PREFIX)) img.setAttribute("src", ref);
+    else if (!/^https?:\/\//i.test(img.getAttribute("src") || "")) img.remove();
+  });
+  // Word spaces paragraphs with empty ones (<p><o:p>&nbsp;</o:p></p>)
+  root.querySelectorAll("p").forEach((p) => {
+    if (!p.textContent.replace(/\u00a0/g, " ").trim() && !p.querySelector("img, iframe, br")) p.remove();
+  });
+
+  return DOMPurify.sanitize(tpl.innerHTML, {
+    ...PURIFY_CONFIG,
+    ALLOWED_ATTR: PASTE_ATTRIBUTES.filter((name) => allowlist.attributes.includes(name)),
+    ALLOW_DATA_ATTR: false,
+  }).trim();
+}
+
+/* ---------- rendering ---------- */
+
+// editor or stored content -> safe HTML with images[] metadata (alt text, captions, alignment) applied, old size "headings" turned
+// into <h1>-<h6> with anchor ids, and code highlighted; refs stay refs
+export const renderPostHtml = (html, images) =>
+  highlightCodeBlocks(addHeadingAnchors(sanitizeHtml(applyImageMeta(migrateSizeHeadings(dehydrateImageRefs(html || "")), images || []))));
@@ -0,0 +1,159 @@
+// src/sanitize.test.js
+// malicious and messy HTML through the sanitizer: script injection, foreign iframes, Word and Google Docs pastes, env overrides
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { DEFAULT_ALLOWLIST, cleanPastedHtml, cleanPostHtml, parseAllowlist, purifyConfig, sanitizeHtml } from "./sanitize.js";
+
+const PLAYER = "https://player.vimeo.com/video/123456";
+
+// parse the output rather than match strings, so attribute order and quoting do not matter
+const dom = (html) => {
+  const tpl = document.createElement("template");
+  tpl.innerHTML = html;
+  return tpl.content;
+};
+
+describe("sanitizeHtml", () => {
+  it("drops scripts and event handlers", () => {
+    const out = sanitizeHtml(`<p>hi<script>alert(1)</script></p><img src="x.png" onerror="alert(1)"><svg><script>alert(2)</script></svg><p onclick="alert(3)">ok</p>`);
+    expect(out).not.toMatch(/script|onerror|onclick|alert|svg/i);
+    expect(dom(out).querySelector("img").getAttribute("src")).toBe("x.png");
+    expect(dom(out).textContent).toBe("hiok");
+  });
+
+  it.each([
+    ["javascript:", `<a href="javascript:alert(1)">x</a>`],
+    ["javascript: with a tab", `<a href="jav&#x09;ascript:alert(1)">x</a>`],
+    ["upper-case JAVASCRIPT:", `<a href="JAVASCRIPT:alert(1)">x</a>`],
+    ["data:", `<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">x</a>`],
+    ["vbscript:", `<a href="vbscript:msgbox(1)">x</a>`],
+  ])("removes %s hrefs", (_, html) => {
+    const a = dom(sanitizeHtml(html)).querySelector("a");
+    expect(a.textContent).toBe("x");
+    expect(a.hasAttribute("href")).toBe(false);
+  });
+
+  it("keeps safe links, anchors and paths, and adds rel to new-tab links", () => {
+    const out = dom(sanitizeHtml(`<a href="https://example.com" target="_blank">a</a><a href="mailto:me@example.com">b</a><a href="#intro">c</a><a href="/about">d</a>`));
+    const [web, mail, anchor, path] = out.querySelectorAll("a");
+    expect(web.getAttribute("href")).toBe("https://example.com");
+    expect(web.getAttribute("rel")).toBe("noopener noreferrer");
+    expect(mail.getAttribute("href")).toBe("mailto:me@example.com");
+    expect(anchor.getAttribute("href")).toBe("#intro");
+    expect(path.getAttribute("href")).toBe("/about");
+  });
+
+  it("drops iframes that are not a known player and sandboxes the ones that are", () => {
+    const out = dom(sanitizeHtml(`<iframe src="https://evil.example/frame"></iframe><iframe src="javascript:alert(1)"></iframe><iframe class="ql-video" src="${PLAYER}" allowfullscreen></iframe>`));
+    const frames = out.querySelectorAll("iframe");
+    expect(frames).toHaveLength(1);
+    expect(frames[0].getAttribute("src")).toBe(PLAYER);
+    expect(frames[0].getAttribute("sandbox")).toContain("allow-scripts");
+    expect(frames[0].getAttribute("referrerpolicy")).toBe("strict-origin-when-cross-origin");
+  });
+
+  it("keeps idb: image refs, data-* attributes and Quill classes", () => {
+    const out = dom(sanitizeHtml(`<p class="ql-align-center"><img src="idb://abc-123" data-ref="idb://abc-123" alt="cat"></p><pre data-language="js">x</pre><a href="idb://doc">file</a>`));
+    const img = out.querySelector("img");
+    expect(img.getAttribute("src")).toBe("idb://abc-123");
+    expect(img.getAttribute("data-ref")).toBe("idb://abc-123");
+    expect(out.querySelector("p").className).toBe("ql-align-center");
+    expect(out.querySelector("pre").getAttribute("data-language")).toBe("js");
+    expect(out.querySelector("a").getAttribute("href")).toBe("idb://doc");
+  });
+
+  it("removes tags outside the allowlist but keeps their text", () => {
+    const out = sanitizeHtml(`<form action="/x"><input value="a"><button>Send</button></form><div><font color="red">text</font></div><style>p{}</style>`);
+    expect(out).toBe("Sendtext");
+  });
+});
+
+describe("cleanPostHtml", () => {
+  it("collapses Quill's blank lines and sanitizes what a post stores", () => {
+    expect(cleanPostHtml(`<p><br></p><p>Hi<script>x</script></p><p></p><p><br></p><p>there</p><p><br></p>`)).toBe("<p>Hi</p><p></p><p>there</p>");
+  });
+});
+
+describe("cleanPastedHtml", () => {
+  const word = (body) => `<html xmlns:o="urn:schemas-microsoft-com:office:office"><head><meta charset="utf-8"><style>p.MsoNormal{margin:0}</style></head>
+    <body><!--StartFragment--><div class="WordSection1">${body}</div><!--EndFragment--></body></html>`;
+  const listItem = (marker, text, list = "l0 level1 lfo1") =>
+    `<p class="MsoListParagraph" style="text-indent:-.25in;mso-list:${list}"><![if !supportLists]><span style="font-family:Symbol"><span style="mso-list:Ignore">${marker}<span style='font:7.0pt "Times New Roman"'>&nbsp;&nbsp;</span></span></span><![endif]>${text}<o:p></o:p></p>`;
+
+  it("turns Word mso-list paragraphs into real lists", () => {
+    const out = dom(cleanPastedHtml(word(`${listItem("·", "One")}${listItem("·", "Two")}<p class="MsoNormal">Between</p>${listItem("1.", "First", "l1 level1 lfo2")}${listItem("2.", "Second", "l1 level1 lfo2")}`)));
+    const [ul, ol] = [out.querySelector("ul"), out.querySelector("ol")];
+    expect([...ul.children].map((li) => li.textContent)).toEqual(["One", "Two"]);
+    expect([...ol.children].map((li) => li.textContent)).toEqual(["First", "Second"]);
+    expect(out.querySelectorAll("p")).toHaveLength(1);
+    expect(out.textContent).not.toContain("·");
+  });
+
+  it("strips <o:p>, Office namespaces, mso-* styles and Word classes", () => {
+    const out = cleanPastedHtml(word(`<p class="MsoNormal" style="margin:0in;mso-bidi-font-family:Calibri"><span style="mso-fareast-language:EN-US">Text</span><o:p></o:p></p><p class="MsoNormal"><o:p>&nbsp;</o:p></p><v:shape id="s1"><v:imagedata src="file:///C:/tmp/image001.png"></v:imagedata></v:shape><p><img src="file:///C:/Users/me/image001.png"></p>`));
+    expect(out).not.toMatch(/mso|Mso|o:p|v:shape|style=|class=|file:|<img|<meta|margin|StartFragment/);
+    expect(dom(out).textContent.trim()).toBe("Text");
+  });
+
+  it("unwraps Google Docs' docs-internal-guid <b> and turns its inline styles into tags", () => {
+    const out = cleanPastedHtml(`<meta charset="utf-8"><b style="font-weight:normal;" id="docs-internal-guid-1a2b3c"><p dir="ltr" style="line-height:1.38;margin-top:0pt"><span style="font-size:11pt;font-family:Arial;color:#000000;font-weight:700">Bold</span> <span style="font-weight:400;font-style:italic;text-decoration:underline">styled</span></p><h2 dir="ltr"><span style="font-size:16pt">Heading</span></h2></b>`);
+    const root = dom(out);
+    expect(root.querySelector("b")).toBeNull();
+    expect(root.querySelector("strong").textContent).toBe("Bold");
+    expect(root.querySelector("u em, em u").textContent).toBe("styled");
+    expect(root.querySelector("h2").textContent).toBe("Heading");
+    expect(out).not.toMatch(/style=|dir=|docs-internal-guid/);
+  });
+
+  it("is as strict as sanitizeHtml about scripts, handlers, links and iframes", () => {
+    const out = cleanPastedHtml(`<p onclick="x()">a<script>alert(1)</script></p><a href="javascript:alert(1)">b</a><iframe src="https://evil.example"></iframe><img src="https://example.com/a.png" onerror="alert(1)"><img src="data:image/png;base64,AAAA">`);
+    expect(out).not.toMatch(/script|onclick|onerror|javascript|evil|data:/);
+    expect(dom(out).querySelectorAll("img")).toHaveLength(1);
+  });
+
+  it("keeps images copied inside the editor as their idb: ref", () => {
+    const img = dom(cleanPastedHtml(`<p><img src="blob:http://localhost/123" data-ref="idb://abc-123"></p>`)).querySelector("img");
+    expect(img.getAttribute("src")).toBe("idb://abc-123");
+    expect(img.hasAttribute("data-ref")).toBe(false);
+  });
+});
+
+describe("allowlist overrides", () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.resetModules();
+  });
+
+  it("adds names and removes -names, ignoring invalid entries", () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    expect(parseAllowlist(["p", "iframe"], " Mark, -iframe ,bad tag,,-nope")).toEqual(["p", "mark"]);
+    expect(warn).toHaveBeenCalledWith(`allowlist: ignoring "bad tag"`);
+    warn.mockRestore();
+  });
+
+  it("builds the DOMPurify config from a custom list", () => {
+    const config = purifyConfig({ ...DEFAULT_ALLOWLIST, schemes: ["https"] });
+    expect(config.ALLOWED_TAGS).toEqual(DEFAULT_ALLOWLIST.tags);
+    expect(config.ALLOWED_URI_REGEXP.test("https://example.com")).toBe(true);
+    expect(config.ALLOWED_URI_REGEXP.test("mailto:me@example.com")).toBe(false);
+    expect(config.ALLOWED_URI_REGEXP.test("/relative/path")).toBe(true);
+  });
+
+  it("reads VITE_HTML_ALLOWED_TAGS / _ATTRS / VITE_HTML_URL_SCHEMES", async () => {
+    vi.stubEnv("VITE_HTML_ALLOWED_TAGS", "mark,-iframe");
+    vi.stubEnv("VITE_HTML_ALLOWED_ATTRS", "lang,-style");
+    vi.stubEnv("VITE_HTML_URL_SCHEMES", "ftp,-mailto");
+    vi.resetModules();
+    const { allowlist, sanitizeHtml: sanitize } = await import("./sanitize.js");
+
+    expect(allowlist.tags).toContain("mark");
+    expect(allowlist.tags).not.toContain("iframe");
+    const out = dom(sanitize(`<p lang="en" style="color:red"><mark>hi</mark></p><iframe src="${PLAYER}"></iframe><a href="ftp://example.com/f">f</a><a href="mailto:me@example.com">m</a>`));
+    expect(out.querySelector("mark").textContent).toBe("hi");
+    expect(out.querySelector("p").getAttribute("lang")).toBe("en");
+    expect(out.querySelector("p").hasAttribute("style")).toBe(false);
+    expect(out.querySelector("iframe")).toBeNull();
+    const [ftp, mail] = out.querySelectorAll("a");
+    expect(ftp.getAttribute("href")).toBe("ftp://example.com/f");
+    expect(mail.hasAttribute("href")).toBe(false);
+  });
+});
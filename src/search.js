@@ -0,0 +1,232 @@
+// src/search.js
+// client-side full-text search over published posts: inverted index, light stemming, ranking, snippets, facets
+import { tagKey } from "./tags.js";
+
+const TITLE_WEIGHT = 3;
+const SNIPPET_LENGTH = 180;
+// BM25 parameters for body text
+const K1 = 1.2;
+const B = 0.75;
+
+const STOP_WORDS = new Set("a an and are as at be but by for from has have i in is it its of on or that the this to was were will with".split(" "));
+
+/* ---------- tokens and stems ---------- */
+
+// words with their character offsets, so snippets can highlight the original text
+export function tokenize(text) {
+  const out = [];
+  const re = /[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu;
+  let m;
+  while ((m = re.exec(text || ""))) out.push({ word: m[0].toLowerCase(), start: m.index, end: m.index + m[0].length });
+  return out;
+}
+
+// Porter's letter pattern: "y" after a consonant counts as a vowel ("trouble" -> "ccvvccv")
+const shape = (w) => [...w].reduce((out, ch, i) => out + (/[aeiou]/.test(ch) || (ch === "y" && i > 0 && out[i - 1] === "c") ? "v" : "c"), "");
+// vowel-consonant runs after the first vowel: "tree" 0, "care"/"state" 1, "create" 2 (as "creat")
+const measure = (w) => (shape(w).replace(/c+/g, "c").replace(/v+/g, "v").replace(/^c/, "").match(/vc/g) || []).length;
+// ends consonant-vowel-consonant, the last not w, x or y: "car", "stat", "hop" (but not "creat", "snow")
+const endsCvc = (w) => shape(w).endsWith("cvc") && !/[wxy]$/.test(w);
+
+// a light English suffix stripper (Porter step 1 plus common derivations); good enough to match "publishing" with "published"
+// and "caring" with "care": a silent e is kept or dropped by the same rule (Porter step 5a) whether or not a suffix went,
+// and a final y after a consonant becomes i (step 1c), so "happy" meets "happiness" and "studies"
+export function stem(word) {
+  let w = word.toLowerCase().replace(/['’]s$/, "");
+  if (w.length <= 3 || /\d/.test(w)) return w;
+  if (w.endsWith("sses")) w = w.slice(0, -2);
+  else if (w.endsWith("ies")) w = `${w.slice(0, -3)}y`;
+  else if (w.endsWith("s") && !w.endsWith("ss") && !w.endsWith("us") && !w.endsWith("is")) w = w.slice(0, -1);
+  // "using", "used", "aged": too short for the rules below, but a vowel-consonant base is a silent-e word
+  if (/^[aeiou][^aeiouy](?:ing|ed)$/.test(w)) return `${w.slice(0, 2)}e`;
+
+  const strip = (suffix, replacement = "") => {
+    if (w.endsWith(suffix) && w.length - suffix.length >= 3) { w = w.slice(0, -suffix.length) + replacement; return true; }
+    return false;
+  };
+  const derived = strip("ational", "ate") || strip("ization", "ize") || strip("fulness", "ful") || strip("ousness", "ous") || strip("iveness", "ive");
+  if (!derived && w.endsWith("eed")) {
+    // agreed -> agree, but keep "feed", "speed"
+    if (measure(w.slice(0, -3)) > 0) w = w.slice(0, -1);
+  } else if (!derived && (strip("ingly") || strip("edly") || strip("ing") || strip("ed"))) {
+    // hopping -> hop, but keep "fall", "kiss"; caring -> care, troubling -> trouble
+    if (/([^aeiouslz])\1$/.test(w)) return w.slice(0, -1);
+    if (/(?:at|bl|iz)$/.test(w) || (measure(w) === 1 && endsCvc(w))) w += "e";
+  } else if (!derived) {
+    strip("ness") || strip("ment") || strip("ly");
+  }
+
+  // "care", "state", "write" keep their e; "create", "trouble", "complete" lose it; three-letter words ("use") are left alone
+  const base = w.slice(0, -1);
+  if (w.endsWith("e") && base.length >= 3 && (measure(base) > 1 || (measure(base) === 1 && !endsCvc(base)))) w = base;
+  // "happy", "happily", "happiness" -> "happi", but "day" and "try" keep their y
+  if (/[^aeiou]y$/.test(w) && /[aeiouy]/.test(w.slice(0, -2))) w = `${w.slice(0, -1)}i`;
+  return w;
+}
+
+const terms = (text) => tokenize(text).filter((t) => !STOP_WORDS.has(t.word)).map((t) => stem(t.word));
+
+/* ---------- index ---------- */
+
+// { docs: Map(id -> doc), postings: Map(stem -> Map(id -> { title, body })), avgBodyLength }
+export function buildSearchIndex(posts) {
+  const docs = new Map();
+  const postings = new Map();
+  let totalBody = 0;
+
+  posts.forEach((post) => {
+    const titleTerms = terms(post.title);
+    const bodyTerms = terms(post.contentPlain);
+    docs.set(post.id, { post, titleTerms, bodyTerms, createdAt: Date.parse(post.createdAt) || 0 });
+    totalBody += bodyTerms.length;
+
+    const count = (list, field) => list.forEach((term) => {
+      if (!postings.has(term)) postings.set(term, new Map());
+      const byDoc = postings.get(term);
+      if (!byDoc.has(post.id)) byDoc.set(post.id, { title: 0, body: 0 });
+      byDoc.get(post.id)[field]++;
+    });
+    count(titleTerms, "title");
+    count(bodyTerms, "body");
+  });
+
+  return { docs, postings, avgBodyLength: docs.size ? totalBody / docs.size : 0 };
+}
+
+/* ---------- query syntax: words, "quoted phrases", tag:x, before:YYYY-MM-DD, after:YYYY-MM-DD ---------- */
+export function parseQuery(input) {
+  const query = { words: [], phrases: [], tags: [], before: null, after: null, invalid: [] };
+  const re = /(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"?|(\S+)/g;
+  let m;
+  while ((m = re.exec(input || ""))) {
+    const [, key, quotedValue, value, phrase, word] = m;
+    if (key) {
+      const v = quotedValue ?? value;
+      const k = key.toLowerCase();
+      if (k === "tag") query.tags.push(v.toLowerCase());
+      else if (k === "before" || k === "after") {
+        const time = Date.parse(v);
+        if (Number.isNaN(time)) query.invalid.push(m[0]);
+        else query[k] = time;
+      } else query.words.push(...tokenize(m[0]).map((t) => t.word));
+    } else if (phrase !== undefined) {
+      const words = tokenize(phrase).map((t) => t.word);
+      if (words.length > 1) query.phrases.push(words);
+      else query.words.push(...words);
+    } else {
+      query.words.push(...tokenize(word).map((t) => t.word));
+    }
+  }
+  query.words = query.words.filter((w) => !STOP_WORDS.has(w));
+  return query;
+}
+
+const containsSequence = (list, seq) => {
+  for (let i = 0; i + seq.length <= list.length; i++) {
+    if (seq.every((s, j) => list[i + j] === s)) return true;
+  }
+  return false;
+};
+
+// stems an unfinished last word may complete to ("pub" -> "publish")
+const prefixTerms = (index, word) => [...index.postings.keys()].filter((t) => t.startsWith(word));
+
+/* ---------- search ---------- */
+
+// ranked [{ post, score, stems }] for a raw query string; { prefixLast } treats the last word as still being typed
+export function searchPosts(index, input, { prefixLast = false } = {}) {
+  const query = parseQuery(input);
+  const stemGroups = query.words.map((w, i) => {
+    const s = stem(w);
+    if (prefixLast && i === query.words.length - 1 && !index.postings.has(s)) return prefixTerms(index, w);
+    return [s];
+  });
+  const phraseStems = query.phrases.map((p) => p.filter((w) => !STOP_WORDS.has(w)).map(stem));
+  const N = index.docs.size;
+  const results = [];
+
+  index.docs.forEach((doc, id) => {
+    const { post } = doc;
+    const postTags = (post.tags || []).map(tagKey);
+    if (query.tags.some((t) => !postTags.includes(tagKey(t)))) return;
+    if (query.before != null && !(doc.createdAt < query.before)) return;
+    if (query.after != null && !(doc.createdAt >= query.after)) return;
+    if (phraseStems.some((p) => p.length && !containsSequence(doc.titleTerms, p) && !containsSequence(doc.bodyTerms, p))) return;
+
+    let score = 0;
+    for (const group of stemGroups) {
+      let best = 0;
+      for (const term of group) {
+        const hit = index.postings.get(term)?.get(id);
+        if (!hit) continue;
+        const idf = Math.log(1 + (N - index.postings.get(term).size + 0.5) / (index.postings.get(term).size + 0.5));
+        const norm = K1 * (1 - B + B * (doc.bodyTerms.length / (index.avgBodyLength || 1)));
+        const body = (hit.body * (K1 + 1)) / (hit.body + norm);
+        best = Math.max(best, idf * (TITLE_WEIGHT * Math.min(hit.title, 2) + body));
+      }
+      if (!best) return; // every word must match
+      score += best;
+    }
+    score += phraseStems.length * 2;
+    results.push({ post, score, stems: new Set([...stemGroups.flat(), ...phraseStems.flat()]) });
+  });
+
+  // filter-only queries (tags/dates) list newest first
+  const hasText = stemGroups.length || phraseStems.length;
+  return results.sort((a, b) => (hasText ? b.score - a.score : 0) || String(b.post.createdAt || "").localeCompare(String(a.post.createdAt || "")));
+}
+
+/* ---------- highlighting ---------- */
+
+// split text into [{ text, hit }] runs where hit marks words whose stem was searched for
+export function highlight(text, stems) {
+  const source = text || "";
+  if (!stems.size) return [{ text: source, hit: false }];
+  const parts = [];
+  let last = 0;
+  tokenize(source).forEach((t) => {
+    if (!stems.has(stem(t.word))) return;
+    if (t.start > last) parts.push({ text: source.slice(last, t.start), hit: false });
+    parts.push({ text: source.slice(t.start, t.end), hit: true });
+    last = t.end;
+  });
+  if (last < source.length) parts.push({ text: source.slice(last), hit: false });
+  return parts;
+}
+
+// the stretch of text around the first match, highlighted
+export function snippet(text, stems, length = SNIPPET_LENGTH) {
+  const source = (text || "").replace(/\s+/g, " ").trim();
+  const first = tokenize(source).find((t) => stems.has(stem(t.word)));
+  let start = first ? Math.max(0, first.start - Math.floor(length / 3)) : 0;
+  if (start > 0) {
+    const space = source.indexOf(" ", start);
+    start = space === -1 || space > (first?.start ?? start) ? start : space + 1;
+  }
+  const end = Math.min(source.length, start + length);
+  const parts = highlight(source.slice(start, end), stems);
+  if (start > 0) parts.unshift({ text: "…", hit: false });
+  if (end < source.length) parts.push({ text: "…", hit: false });
+  return parts;
+}
+
+/* ---------- facets over a result set ---------- */
+export function facetCounts(results) {
+  const tags = new Map();
+  const months = new Map();
+  results.forEach(({ post }) => {
+    // spellings of one tag ("React", "react") share a facet, shown as the first one seen; a post counts once
+    new Map((post.tags || []).filter(Boolean).map((t) => [tagKey(t), t])).forEach((t, key) => {
+      const facet = tags.get(key) || [t, 0];
+      tags.set(key, [facet[0], facet[1] + 1]);
+    });
+    if (post.createdAt) {
+      const month = post.createdAt.slice(0, 7);
+      months.set(month, (months.get(month) || 0) + 1);
+    }
+  });
+  return {
+    tags: [...tags.values()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])),
+    months: [...months].sort((a, b) => b[0].localeCompare(a[0])),
+  };
+}
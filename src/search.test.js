@@ -0,0 +1,75 @@
+// src/search.test.js
+// the stemmer's word families, query parsing, search matching across inflections, and tag facets
+import { describe, expect, it } from "vitest";
+import { buildSearchIndex, facetCounts, parseQuery, searchPosts, stem } from "./search.js";
+
+describe("stem", () => {
+  it.each([
+    ["publish", ["publish", "publishing", "published", "publishes"]],
+    ["care", ["care", "caring", "cared", "cares"]],
+    ["state", ["state", "stating", "stated", "states"]],
+    ["use", ["use", "using", "used", "uses"]],
+    ["age", ["age", "aging", "aged"]],
+    ["happi", ["happy", "happily", "happiness"]],
+    ["studi", ["study", "studies", "studied", "studying"]],
+    ["hop", ["hop", "hopping", "hopped"]],
+    ["creat", ["create", "creating", "created"]],
+    ["troubl", ["trouble", "troubling", "troubled"]],
+    ["agre", ["agree", "agreed"]],
+  ])("stems the %s family together", (expected, words) => {
+    words.forEach((w) => expect([w, stem(w)]).toEqual([w, expected]));
+  });
+
+  it("leaves short words, y after a vowel and numbers alone", () => {
+    expect(["feed", "speed", "day", "days", "try", "tries", "fall", "kiss", "2026s"].map(stem)).toEqual(["feed", "speed", "day", "day", "try", "try", "fall", "kiss", "2026s"]);
+  });
+
+  it("ignores case and possessives", () => {
+    expect(stem("Reader's")).toBe("reader");
+  });
+});
+
+describe("parseQuery", () => {
+  it("splits words, phrases, tags and date filters", () => {
+    const query = parseQuery(`hooks "state machine" tag:React before:2026-01-01 after:"2025-06-01"`);
+    expect(query.words).toEqual(["hooks"]);
+    expect(query.phrases).toEqual([["state", "machine"]]);
+    expect(query.tags).toEqual(["react"]);
+    expect(query.before).toBe(Date.parse("2026-01-01"));
+    expect(query.after).toBe(Date.parse("2025-06-01"));
+    expect(query.invalid).toEqual([]);
+  });
+
+  it("collects date filters it cannot read", () => {
+    const query = parseQuery("hooks before:2026-13-45 after:soon");
+    expect(query.invalid).toEqual(["before:2026-13-45", "after:soon"]);
+    expect(query.before).toBeNull();
+    expect(query.after).toBeNull();
+  });
+});
+
+describe("searchPosts", () => {
+  const index = buildSearchIndex([
+    { id: 1, title: "Tools", contentPlain: "We are using a new editor.", createdAt: "2026-01-01" },
+    { id: 2, title: "Mood", contentPlain: "Notes on happiness at work.", createdAt: "2026-02-01" },
+    { id: 3, title: "Other", contentPlain: "Nothing to see.", createdAt: "2026-03-01" },
+  ]);
+  const ids = (input) => searchPosts(index, input).map(({ post }) => post.id);
+
+  it("matches other forms of the query words", () => {
+    expect(ids("use")).toEqual([1]);
+    expect(ids("used")).toEqual([1]);
+    expect(ids("happy")).toEqual([2]);
+  });
+});
+
+describe("facetCounts", () => {
+  it("counts spellings of one tag as one facet", () => {
+    const results = [
+      { post: { id: 1, tags: ["React", "JS"], createdAt: "2026-01-05" } },
+      { post: { id: 2, tags: ["react", "react"], createdAt: "2026-01-20" } },
+      { post: { id: 3, tags: ["js"], createdAt: "2025-12-01" } },
+    ];
+    expect(facetCounts(results)).toEqual({ tags: [["JS", 2], ["React", 2]], months: [["2026-01", 2], ["2025-12", 1]] });
+  });
+});
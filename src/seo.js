@@ -0,0 +1,74 @@
+// src/seo.js
+// search and social metadata for a post: the stored overrides (post.seo), the defaults they fall back to, and <head> tags
+import { useEffect } from "react";
+import { coverImageOf } from "./images/imageMeta.js";
+import { firstSentence } from "./text.js";
+
+export const SEO_TITLE_MAX = 60; // what search results show before cutting off
+export const SEO_DESCRIPTION_MAX = 160;
+
+// the editable fields; empty strings mean "use the default"
+export const EMPTY_SEO = { description: "", canonical: "", socialTitle: "", socialDescription: "" };
+
+export function isAbsoluteUrl(url) {
+  try { return /^https?:$/.test(new URL(url).protocol); } catch { return false; }
+}
+
+// post.seo as stored: known fields only, trimmed
+export function normalizeSeo(seo) {
+  return Object.fromEntries(Object.keys(EMPTY_SEO).map((key) => [key, typeof seo?.[key] === "string" ? seo[key].trim() : ""]));
+}
+
+// what a page of the post actually uses; url is the post's own address (the canonical unless one is set)
+export function resolveSeo(post, url = "") {
+  const seo = normalizeSeo(post.seo);
+  const title = post.title || "Untitled Post";
+  const description = seo.description || firstSentence(post.contentPlain, SEO_DESCRIPTION_MAX);
+  const cover = post.coverImage || coverImageOf(post.images || []);
+  return {
+    title,
+    description,
+    canonical: seo.canonical || url,
+    image: cover?.url || "",
+    imageAlt: cover?.alt || "",
+    socialTitle: seo.socialTitle || title,
+    socialDescription: seo.socialDescription || description,
+    card: cover ? "summary_large_image" : "summary",
+  };
+}
+
+// [{ tag, attrs }] for <head>; URLs that are not absolute (local image refs, a site without VITE_SITE_URL) are left out
+export function seoHeadTags(meta, { siteName, image = meta.image } = {}) {
+  const url = isAbsoluteUrl(meta.canonical) ? meta.canonical : "";
+  const imageUrl = isAbsoluteUrl(image) ? image : "";
+  return [
+    ["meta", { name: "description", content: meta.description }],
+    ["link", { rel: "canonical", href: url }],
+    ["meta", { property: "og:type", content: "article" }],
+    ["meta", { property: "og:site_name", content: siteName }],
+    ["meta", { property: "og:title", content: meta.socialTitle }],
+    ["meta", { property: "og:description", content: meta.socialDescription }],
+    ["meta", { property: "og:url", content: url }],
+    ["meta", { property: "og:image", content: imageUrl }],
+    ["meta", { property: "og:image:alt", content: imageUrl && meta.imageAlt }],
+    ["meta", { name: "twitter:card", content: imageUrl ? meta.card : "summary" }],
+    ["meta", { name: "twitter:title", content: meta.socialTitle }],
+    ["meta", { name: "twitter:description", content: meta.socialDescription }],
+    ["meta", { name: "twitter:image", content: imageUrl }],
+  ]
+    .filter(([, attrs]) => Object.values(attrs).every(Boolean))
+    .map(([tag, attrs]) => ({ tag, attrs }));
+}
+
+// mirror the tags into document.head while a post is on screen
+export function useHeadTags(tags) {
+  const key = JSON.stringify(tags);
+  useEffect(() => {
+    const nodes = JSON.parse(key).map(({ tag, attrs }) => {
+      const el = document.createElement(tag);
+      Object.entries(attrs).forEach(([name, value]) => el.setAttribute(name, value));
+      return document.head.appendChild(el);
+    });
+    return () => nodes.forEach((el) => el.remove());
+  }, [key]);
+}
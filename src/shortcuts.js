@@ -0,0 +1,103 @@
+// src/shortcuts.js
+// keyboard shortcuts: the commands, their default key combos, per-browser overrides and key-event matching
+import { useEffect, useRef } from "react";
+
+const SHORTCUTS_KEY = "blog-shortcuts";
+
+export const IS_MAC = typeof navigator !== "undefined" && /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+
+// combos are "Mod+Shift+K" strings; Mod is ⌘ on macOS and Ctrl elsewhere. combo: null = palette only
+export const SHORTCUT_COMMANDS = [
+  { id: "palette", group: "General", label: "Open command palette", combo: "Mod+K" },
+  { id: "cheatSheet", group: "General", label: "Show keyboard shortcuts", combo: "Mod+/" },
+  { id: "newPost", group: "General", label: "New post", combo: "Mod+Alt+N" },
+  { id: "publish", group: "General", label: "Publish / update post", combo: "Mod+Enter" },
+  { id: "togglePreview", group: "General", label: "Toggle preview", combo: "Mod+Alt+P" },
+  { id: "bold", group: "Formatting", label: "Bold", combo: "Mod+B" },
+  { id: "italic", group: "Formatting", label: "Italic", combo: "Mod+I" },
+  { id: "paragraph", group: "Formatting", label: "Normal text", combo: "Mod+Alt+0" },
+  ...[1, 2, 3, 4, 5, 6].map((n) => ({ id: `heading${n}`, group: "Formatting", label: `Heading ${n}`, combo: `Mod+Alt+${n}` })),
+  { id: "orderedList", group: "Formatting", label: "Numbered list", combo: "Mod+Shift+7" },
+  { id: "bulletList", group: "Formatting", label: "Bulleted list", combo: "Mod+Shift+8" },
+  { id: "link", group: "Formatting", label: "Insert link", combo: "Mod+Shift+L" },
+  { id: "goEditor", group: "Navigation", label: "Go to Editor", combo: null },
+  { id: "goPosts", group: "Navigation", label: "Go to Posts", combo: null },
+  { id: "goDrafts", group: "Navigation", label: "Go to Drafts", combo: null },
+  { id: "goTags", group: "Navigation", label: "Go to Tags", combo: null },
+];
+
+export const DEFAULT_BINDINGS = Object.fromEntries(SHORTCUT_COMMANDS.map((c) => [c.id, c.combo]));
+
+// { commandId: combo | null } with this browser's overrides applied
+export function loadBindings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SHORTCUTS_KEY) || "{}");
+    const overrides = Object.entries(saved).filter(([id, combo]) => id in DEFAULT_BINDINGS && (combo === null || typeof combo === "string"));
+    return { ...DEFAULT_BINDINGS, ...Object.fromEntries(overrides) };
+  } catch (err) {
+    console.error("load shortcuts failed", err);
+    localStorage.removeItem(SHORTCUTS_KEY);
+    return { ...DEFAULT_BINDINGS };
+  }
+}
+
+// only the differences from the defaults are stored, so new defaults still reach existing users
+export function saveBindings(bindings) {
+  const overrides = Object.fromEntries(Object.entries(bindings).filter(([id, combo]) => DEFAULT_BINDINGS[id] !== combo));
+  if (Object.keys(overrides).length) localStorage.setItem(SHORTCUTS_KEY, JSON.stringify(overrides));
+  else localStorage.removeItem(SHORTCUTS_KEY);
+}
+
+// layout-independent names for the keys we bind (Alt/Shift change event.key, e.g. Shift+7 is "&")
+const CODE_KEYS = { Slash: "/", Backslash: "\\", Period: ".", Comma: ",", Semicolon: ";", Quote: "'", Backquote: "`", Minus: "-", Equal: "=", BracketLeft: "[", BracketRight: "]" };
+const MODIFIER_KEYS = new Set(["Control", "Shift", "Alt", "Meta", "AltGraph", "CapsLock"]);
+
+// "Mod+Shift+7" for a keydown event, or null for a bare modifier press
+export function comboFromEvent(e) {
+  if (MODIFIER_KEYS.has(e.key)) return null;
+  const code = e.code || "";
+  const key = /^Key[A-Z]$/.test(code) ? code.slice(3)
+    : /^Digit\d$/.test(code) ? code.slice(5)
+    : CODE_KEYS[code] || (e.key.length === 1 ? e.key.toUpperCase() : e.key);
+  const parts = [];
+  if (IS_MAC ? e.metaKey : e.ctrlKey) parts.push("Mod");
+  if (IS_MAC && e.ctrlKey) parts.push("Ctrl");
+  if (!IS_MAC && e.metaKey) parts.push("Meta");
+  if (e.altKey) parts.push("Alt");
+  if (e.shiftKey) parts.push("Shift");
+  return [...parts, key].join("+");
+}
+
+// shortcuts need Mod, Ctrl, Meta or Alt so they never swallow plain typing
+export const isBindableCombo = (combo) => !!combo && /^(Mod|Ctrl|Meta|Alt)\+/.test(combo);
+
+const MAC_SYMBOLS = { Mod: "⌘", Ctrl: "⌃", Alt: "⌥", Shift: "⇧", Enter: "↩" };
+
+// how a combo is shown: "Ctrl+Alt+1" or "⌘⌥1"
+export function formatCombo(combo) {
+  if (!combo) return "";
+  const parts = combo.split("+").map((p, i, all) => (p === "" && i === all.length - 1 ? "+" : p)).filter(Boolean);
+  if (IS_MAC) return parts.map((p) => MAC_SYMBOLS[p] || p).join("");
+  return parts.map((p) => (p === "Mod" ? "Ctrl" : p)).join("+");
+}
+
+// run(commandId) on matching keydowns; run returns false when the command does not apply right now (the key then
+// keeps its normal meaning). Listens in the capture phase so Quill's own Ctrl+B/Ctrl+I never double-toggle.
+export function useShortcuts(bindings, run, enabled = true) {
+  const runRef = useRef(run);
+  useEffect(() => { runRef.current = run; });
+
+  useEffect(() => {
+    if (!enabled) return;
+    const byCombo = new Map(Object.entries(bindings).filter(([, combo]) => combo).map(([id, combo]) => [combo, id]));
+    const onKeyDown = (e) => {
+      if (e.defaultPrevented || e.isComposing) return;
+      const id = byCombo.get(comboFromEvent(e));
+      if (!id || runRef.current(id) === false) return;
+      e.preventDefault();
+      e.stopPropagation();
+    };
+    window.addEventListener("keydown", onKeyDown, true);
+    return () => window.removeEventListener("keydown", onKeyDown, true);
+  }, [bindings, enabled]);
+}
@@ -0,0 +1,33 @@
+// src/slug.js
+// URL/file-name slugs for posts and tags
+
+// "Héllo, World!" -> "hello-world"
+export function slugify(text, fallback = "untitled-post") {
+  const slug = (text || "").toLowerCase().normalize("NFKD").replace(/[\u0300-\u036f]/g, "").replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 80);
+  return slug || fallback;
+}
+
+// first of base, base-2, base-3... that is not taken
+export function uniqueSlug(base, taken) {
+  let slug = base;
+  for (let n = 2; taken.has(slug); n++) slug = `${base}-${n}`;
+  return slug;
+}
+
+// Map(post.id -> slug): stored slugs are kept, posts without one get a title slug (oldest post wins a collision)
+export function assignSlugs(posts) {
+  const taken = new Set();
+  const out = new Map();
+  posts.forEach((p) => {
+    if (p.slug && !taken.has(p.slug)) { taken.add(p.slug); out.set(p.id, p.slug); }
+  });
+  posts
+    .filter((p) => !out.has(p.id))
+    .sort((a, b) => String(a.createdAt || "").localeCompare(String(b.createdAt || "")))
+    .forEach((p) => {
+      const slug = uniqueSlug(slugify(p.title), taken);
+      taken.add(slug);
+      out.set(p.id, slug);
+    });
+  return out;
+}
@@ -0,0 +1,245 @@
+// src/staticSite.js
+// publish the post library as a standalone site: index, one page per post, tag pages, Atom + RSS feeds, images as files
+import JSZip from "jszip";
+import highlightTheme from "highlight.js/styles/github.css?raw";
+import { getImageBlob, imageFileName } from "./images/imageStore.js";
+import { coverImageOf } from "./images/imageMeta.js";
+import { renderPostHtml } from "./sanitize.js";
+import { tableOfContents } from "./headings.js";
+import { resolveSeo, seoHeadTags } from "./seo.js";
+import { collectImageRefs } from "./backup.js";
+import { assignSlugs, slugify, uniqueSlug } from "./slug.js";
+
+// VITE_SITE_URL makes feed links absolute (feed readers need that); pages always link relatively
+export const siteSettings = {
+  title: import.meta.env.VITE_SITE_TITLE || "Interactive Blog",
+  url: (import.meta.env.VITE_SITE_URL || "").replace(/\/+$/, ""),
+};
+
+const escapeHtml = (s) => String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleDateString(undefined, { dateStyle: "long" }) : "");
+
+const excerpt = (post, length = 200) => {
+  const text = (post.contentPlain || "").replace(/\s+/g, " ").trim();
+  return text.length > length ? `${text.slice(0, length)}…` : text;
+};
+
+// Map(tag -> file slug); "C" and "C++" must not share a page
+function tagSlugsOf(tags) {
+  const taken = new Set();
+  return new Map(tags.map((tag) => {
+    const slug = uniqueSlug(slugify(tag, "tag"), taken);
+    taken.add(slug);
+    return [tag, slug];
+  }));
+}
+
+// same markup as the app's TableOfContents; levels are relative to the post's top heading
+function tocNav(html) {
+  const headings = tableOfContents(html);
+  if (!headings.length) return "";
+  const top = Math.min(...headings.map((h) => h.level));
+  const items = headings.map((h) => `<li class="toc-level-${h.level - top + 1}"><a href="#${escapeHtml(h.id)}">${escapeHtml(h.text)}</a></li>`);
+  return `<nav class="post-toc" aria-label="Table of contents"><strong>Contents</strong><ol>${items.join("")}</ol></nav>`;
+}
+
+/* ---------- templates ---------- */
+
+const SITE_CSS = `*{box-sizing:border-box}
+body{margin:0;font-family:system-ui,-apple-system,"Segoe UI",Roboto,sans-serif;color:#111827;background:#f9fafb;line-height:1.65}
+a{color:#db2777}
+.site-header,.site-main,.site-footer{max-width:760px;margin:0 auto;padding:1.2rem}
+.site-header{display:flex;justify-content:space-between;align-items:baseline;border-bottom:1px solid #e5e7eb}
+.site-header a{color:inherit;text-decoration:none;font-weight:700}
+.site-footer{color:#6b7280;font-size:.85rem}
+.post-item{padding:1rem 0;border-bottom:1px solid #e5e7eb}
+.post-item h2{margin:.2rem 0}
+.post-item img{width:100%;max-height:240px;object-fit:cover;border-radius:.6rem}
+.meta{color:#6b7280;font-size:.85rem}
+.tags{display:flex;flex-wrap:wrap;gap:.35rem;margin:.4rem 0}
+.tag{padding:.1rem .6rem;border-radius:999px;background:#fce7f3;color:#9d174d;font-size:.78rem;text-decoration:none}
+.cover{width:100%;max-height:380px;object-fit:cover;border-radius:.8rem}
+article img{max-width:100%;height:auto}
+.post-figure{margin:1rem 0}
+.post-figure figcaption{color:#6b7280;font-size:.85rem;text-align:center}
+.post-figure.align-left{float:left;max-width:50%;margin-right:1rem}
+.post-figure.align-right{float:right;max-width:50%;margin-left:1rem}
+.post-figure.align-center{text-align:center}
+.post-figure.align-full img{width:100%}
+article::after{content:"";display:table;clear:both}
+blockquote{margin:1rem 0;padding:.2rem 0 .2rem 1rem;border-left:4px solid #fbcfe8;color:#374151}
+code{padding:.1rem .35rem;border-radius:.3rem;background:#f3f4f6;font-family:ui-monospace,SFMono-Regular,Menlo,Consolas,monospace;font-size:.88em}
+pre{padding:.9rem 1rem;border-radius:.6rem;background:#f6f8fa;font-family:ui-monospace,SFMono-Regular,Menlo,Consolas,monospace;font-size:.85rem;line-height:1.5;overflow-x:auto}
+.post-table{width:100%;border-collapse:collapse;margin:1rem 0}
+.post-table th,.post-table td{padding:.4rem .6rem;border:1px solid #e5e7eb;text-align:left}
+.post-table th{background:#f9fafb}
+hr{border:none;border-top:1px solid #d1d5db;margin:1.5rem 0}
+iframe{display:block;width:100%;aspect-ratio:16/9;border:0;border-radius:.6rem;margin:1rem 0}
+.post-toc{margin:1rem 0;padding:.8rem 1rem;border:1px solid #e5e7eb;border-radius:.6rem;background:#fff}
+.post-toc ol{margin:.4rem 0 0;padding:0;list-style:none}
+.post-toc li{margin:.2rem 0}
+.toc-level-2{padding-left:1rem}.toc-level-3{padding-left:2rem}.toc-level-4,.toc-level-5,.toc-level-6{padding-left:3rem}
+${highlightTheme}`;
+
+const headTagsHtml = (tags) => tags.map(({ tag, attrs }) => `<${tag} ${Object.entries(attrs).map(([k, v]) => `${k}="${escapeHtml(v)}"`).join(" ")}>\n`).join("");
+
+function page({ title, root, body, head = "" }) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" href="${root}style.css">
+<link rel="alternate" type="application/atom+xml" title="${escapeHtml(siteSettings.title)}" href="${root}feed.xml">
+<link rel="alternate" type="application/rss+xml" title="${escapeHtml(siteSettings.title)}" href="${root}rss.xml">
+${head}</head>
+<body>
+<header class="site-header"><a href="${root}index.html">${escapeHtml(siteSettings.title)}</a><a href="${root}feed.xml">Feed</a></header>
+<main class="site-main">
+${body}
+</main>
+<footer class="site-footer">Generated ${escapeHtml(formatDate(new Date().toISOString()))}</footer>
+</body>
+</html>
+`;
+}
+
+/* ---------- site ---------- */
+
+// returns a ZIP blob; posts are published newest first
+export async function buildStaticSite(posts) {
+  const zip = new JSZip();
+  const sorted = [...posts].sort((a, b) => String(b.createdAt || "").localeCompare(String(a.createdAt || "")));
+
+  // stored images are written to images/ once and referenced relatively
+  const imageFiles = new Map();
+  for (const ref of collectImageRefs(sorted)) {
+    const blob = await getImageBlob(ref);
+    if (!blob) { console.warn(`Image ${ref} is missing from this browser; it is left out of the site`); continue; }
+    const name = imageFileName(ref, blob.type);
+    zip.file(`images/${name}`, blob);
+    imageFiles.set(ref, `images/${name}`);
+  }
+  const withImages = (html, root) => html.replace(/idb:\/\/[\w-]+/g, (ref) => (imageFiles.has(ref) ? root + imageFiles.get(ref) : ref));
+
+  // same slugs as the app's permalinks
+  const postSlugs = assignSlugs(sorted);
+  const allTags = [...new Set(sorted.flatMap((p) => (p.tags || []).filter(Boolean)))].sort((a, b) => a.localeCompare(b));
+  const tagSlugs = tagSlugsOf(allTags);
+
+  const tagLinks = (tags, root) => (tags || []).filter(Boolean).map((t) => `<a class="tag" href="${root}tags/${tagSlugs.get(t)}.html">${escapeHtml(t)}</a>`).join("");
+
+  const postItem = (post, root) => {
+    const cover = post.coverImage || coverImageOf(post.images || []);
+    return `<div class="post-item">
+${cover ? `<a href="${root}posts/${postSlugs.get(post.id)}.html"><img src="${escapeHtml(withImages(cover.thumbUrl || cover.url, root))}" alt="${escapeHtml(cover.alt || "")}"></a>` : ""}
+<h2><a href="${root}posts/${postSlugs.get(post.id)}.html">${escapeHtml(post.title || "Untitled")}</a></h2>
+<div class="meta"><time datetime="${escapeHtml(post.createdAt || "")}">${escapeHtml(formatDate(post.createdAt))}</time>${post.author ? ` · ${escapeHtml(post.author.name)}` : ""}</div>
+<p>${escapeHtml(excerpt(post))}</p>
+<div class="tags">${tagLinks(post.tags, root)}</div>
+</div>`;
+  };
+
+  // one page per post, with the same sanitizing as the preview
+  sorted.forEach((post) => {
+    const root = "../";
+    const cover = post.coverImage || coverImageOf(post.images || []);
+    const content = renderPostHtml(post.contentHtml, post.images);
+    // canonical, og:url and og:image need absolute URLs, so they are only written when VITE_SITE_URL is set
+    const absolute = siteSettings.url ? `${siteSettings.url}/` : "";
+    const meta = resolveSeo(post, absolute && `${absolute}posts/${postSlugs.get(post.id)}.html`);
+    const head = headTagsHtml(seoHeadTags(meta, { siteName: siteSettings.title, image: withImages(meta.image, absolute) }));
+    const body = `<article>
+${cover ? `<img class="cover" src="${escapeHtml(withImages(cover.url, root))}" alt="${escapeHtml(cover.alt || "")}">` : ""}
+<h1>${escapeHtml(post.title || "Untitled")}</h1>
+<div class="meta"><time datetime="${escapeHtml(post.createdAt || "")}">${escapeHtml(formatDate(post.createdAt))}</time>${post.author ? ` · ${escapeHtml(post.author.name)}` : ""}${post.updatedAt ? ` · updated ${escapeHtml(formatDate(post.updatedAt))}` : ""}</div>
+<div class="tags">${tagLinks(post.tags, root)}</div>
+${post.toc ? tocNav(content) : ""}
+${withImages(content, root)}
+</article>`;
+    zip.file(`posts/${postSlugs.get(post.id)}.html`, page({ title: `${post.title || "Untitled"} · ${siteSettings.title}`, root, body, head }));
+  });
+
+  zip.file("index.html", page({
+    title: siteSettings.title,
+    root: "",
+    body: `<h1>${escapeHtml(siteSettings.title)}</h1>
+${allTags.length ? `<div class="tags">${tagLinks(allTags, "")}</div>` : ""}
+${sorted.map((p) => postItem(p, "")).join("\n") || "<p>No posts yet.</p>"}`,
+  }));
+
+  allTags.forEach((tag) => {
+    const tagged = sorted.filter((p) => (p.tags || []).includes(tag));
+    zip.file(`tags/${tagSlugs.get(tag)}.html`, page({
+      title: `${tag} · ${siteSettings.title}`,
+      root: "../",
+      body: `<h1>Posts tagged “${escapeHtml(tag)}”</h1>\n${tagged.map((p) => postItem(p, "../")).join("\n")}`,
+    }));
+  });
+
+  const feedPosts = sorted.map((post) => ({
+    post,
+    link: `${siteSettings.url ? `${siteSettings.url}/` : ""}posts/${postSlugs.get(post.id)}.html`,
+    html: withImages(renderPostHtml(post.contentHtml, post.images), siteSettings.url ? `${siteSettings.url}/` : ""),
+  }));
+  zip.file("feed.xml", atomFeed(feedPosts));
+  zip.file("rss.xml", rssFeed(feedPosts));
+  zip.file("style.css", SITE_CSS);
+
+  return zip.generateAsync({ type: "blob" });
+}
+
+/* ---------- feeds ---------- */
+
+const siteLink = () => (siteSettings.url ? `${siteSettings.url}/` : "index.html");
+
+function atomFeed(items) {
+  const updated = items.reduce((max, { post }) => [post.updatedAt, post.createdAt].reduce((m, d) => (d && d > m ? d : m), max), "") || new Date().toISOString();
+  const entries = items.map(({ post, link, html }) => `  <entry>
+    <title>${escapeHtml(post.title || "Untitled")}</title>
+    <link href="${escapeHtml(link)}"/>
+    <id>${escapeHtml(siteSettings.url ? link : `urn:interactive-blog:post:${post.id}`)}</id>
+    ${post.createdAt ? `<published>${escapeHtml(post.createdAt)}</published>` : ""}
+    <updated>${escapeHtml(post.updatedAt || post.createdAt || updated)}</updated>
+    ${post.author ? `<author><name>${escapeHtml(post.author.name)}</name></author>` : ""}
+    ${(post.tags || []).filter(Boolean).map((t) => `<category term="${escapeHtml(t)}"/>`).join("")}
+    <summary>${escapeHtml(excerpt(post))}</summary>
+    <content type="html">${escapeHtml(html)}</content>
+  </entry>`).join("\n");
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeHtml(siteSettings.title)}</title>
+  <link href="${escapeHtml(siteLink())}"/>
+  ${siteSettings.url ? `<link rel="self" href="${escapeHtml(`${siteSettings.url}/feed.xml`)}"/>` : ""}
+  <id>${escapeHtml(siteSettings.url ? `${siteSettings.url}/` : "urn:interactive-blog:site")}</id>
+  <updated>${escapeHtml(updated)}</updated>
+${entries}
+</feed>
+`;
+}
+
+function rssFeed(items) {
+  const rfc822 = (iso) => new Date(iso).toUTCString();
+  const entries = items.map(({ post, link, html }) => `    <item>
+      <title>${escapeHtml(post.title || "Untitled")}</title>
+      <link>${escapeHtml(link)}</link>
+      <guid isPermaLink="${siteSettings.url ? "true" : "false"}">${escapeHtml(siteSettings.url ? link : `interactive-blog-post-${post.id}`)}</guid>
+      ${post.createdAt ? `<pubDate>${rfc822(post.createdAt)}</pubDate>` : ""}
+      ${(post.tags || []).filter(Boolean).map((t) => `<category>${escapeHtml(t)}</category>`).join("")}
+      <description>${escapeHtml(html)}</description>
+    </item>`).join("\n");
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0">
+  <channel>
+    <title>${escapeHtml(siteSettings.title)}</title>
+    <link>${escapeHtml(siteLink())}</link>
+    <description>${escapeHtml(`Posts from ${siteSettings.title}`)}</description>
+${entries}
+  </channel>
+</rss>
+`;
+}
@@ -0,0 +1,47 @@
+// src/status.js
+// post status workflow: draft -> in review -> scheduled -> published
+
+export const POST_STATUSES = [
+  { id: "draft", label: "Draft", action: "Save as draft" },
+  { id: "review", label: "In review", action: "Submit for review" },
+  { id: "scheduled", label: "Scheduled", action: "Schedule" },
+  { id: "published", label: "Published", action: "Publish" },
+];
+
+export const statusLabel = (id) => POST_STATUSES.find((s) => s.id === id)?.label || id;
+
+// posts saved before statuses existed were published immediately; a scheduled post is published once its publish-at time
+// has passed, for every reader, without anyone having to save it again
+export function postStatus(post, now = Date.now()) {
+  const status = post.status || "published";
+  return status === "scheduled" && post.publishAt && Date.parse(post.publishAt) <= now ? "published" : status;
+}
+
+export const isPublished = (post, now) => postStatus(post, now) === "published";
+
+// when a published post went live: as recorded, its publish-at time for a scheduled one, or its creation for older posts
+export const publishedAtOf = (post) => post.publishedAt || (post.status === "scheduled" ? post.publishAt : post.createdAt) || null;
+
+// unpublishing only moves a post back to draft: its id, slug, revisions and discussion stay, and so does publishedAt,
+// which republishing keeps
+export const unpublishedPost = (post, updatedAt = new Date().toISOString()) => ({ ...post, status: "draft", publishAt: null, updatedAt });
+
+// earliest upcoming publish-at (ms), or null
+export function nextPublishAt(posts, now = Date.now()) {
+  const times = posts.filter((p) => postStatus(p, now) === "scheduled" && p.publishAt).map((p) => Date.parse(p.publishAt)).filter(Number.isFinite);
+  return times.length ? Math.min(...times) : null;
+}
+
+// ISO string <-> the local "YYYY-MM-DDTHH:mm" value of <input type="datetime-local">
+export function toDateTimeLocal(iso) {
+  if (!iso) return "";
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "";
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+export function fromDateTimeLocal(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
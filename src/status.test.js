@@ -0,0 +1,68 @@
+// src/status.test.js
+// the status workflow: scheduled posts going live, and unpublish/republish keeping the post and its discussion
+import { beforeEach, describe, expect, it } from "vitest";
+import { isPublished, nextPublishAt, postStatus, publishedAtOf, unpublishedPost } from "./status.js";
+import { buildThreads, commentCounts, createComment, reactionId } from "./comments.js";
+import { createLocalStorageAdapter } from "./storage/localStorageAdapter.js";
+
+const NOW = Date.parse("2026-10-19T12:00:00Z");
+const author = { uid: "u1", name: "Ana" };
+const reader = { uid: "u2", name: "Ben" };
+
+describe("postStatus", () => {
+  it("treats posts without a status as published", () => {
+    expect(postStatus({ id: 1 })).toBe("published");
+  });
+
+  it("publishes a scheduled post once its time has passed", () => {
+    const post = { id: 1, status: "scheduled", publishAt: "2026-10-19T13:00:00Z" };
+    expect(postStatus(post, NOW)).toBe("scheduled");
+    expect(isPublished(post, NOW + 2 * 3600e3)).toBe(true);
+    expect(publishedAtOf(post)).toBe(post.publishAt);
+    expect(nextPublishAt([post, { id: 2, status: "draft" }], NOW)).toBe(Date.parse(post.publishAt));
+    expect(nextPublishAt([post], NOW + 2 * 3600e3)).toBeNull();
+  });
+});
+
+describe("unpublishedPost", () => {
+  it("only changes the status", () => {
+    const post = { id: 7, slug: "hello", previousSlugs: ["hi"], status: "scheduled", publishAt: "2026-10-01T00:00:00Z", createdAt: "2026-09-01T00:00:00Z", author, revisions: [{ contentHtml: "<p>old</p>" }] };
+    const draft = unpublishedPost(post, "2026-10-19T12:00:00.000Z");
+    expect(draft).toEqual({ ...post, status: "draft", publishAt: null, updatedAt: "2026-10-19T12:00:00.000Z" });
+    expect(isPublished(draft, NOW)).toBe(false);
+    expect(nextPublishAt([draft], NOW)).toBeNull();
+  });
+});
+
+describe("unpublish and republish", () => {
+  beforeEach(() => localStorage.clear());
+
+  it("keeps the post's id, comments and reactions", async () => {
+    const storage = createLocalStorageAdapter();
+    const post = { id: 7, title: "Hello", slug: "hello", status: "published", publishedAt: "2026-10-01T00:00:00Z", createdAt: "2026-10-01T00:00:00Z", author };
+    await storage.savePost(post);
+    const question = createComment({ id: 1, postId: post.id, user: reader, body: "Nice post" });
+    const answer = createComment({ id: 2, postId: post.id, parentId: 1, user: author, body: "Thanks", canModerate: true });
+    await storage.saveComment(question);
+    await storage.saveComment(answer);
+    await storage.saveReaction({ id: reactionId(post.id, reader.uid, "like"), postId: post.id, targetId: post.id, uid: reader.uid, kind: "like" });
+
+    await storage.savePost(unpublishedPost(post));
+    const [draft] = await storage.loadPosts();
+    expect(draft.id).toBe(post.id);
+    expect(postStatus(draft)).toBe("draft");
+
+    await storage.savePost({ ...draft, status: "published", updatedAt: new Date().toISOString() });
+    const posts = await storage.loadPosts();
+    expect(posts.map((p) => p.id)).toEqual([post.id]);
+    expect(posts[0]).toMatchObject({ slug: "hello", publishedAt: post.publishedAt, createdAt: post.createdAt });
+
+    const comments = await storage.loadComments({ postId: posts[0].id });
+    expect(comments).toHaveLength(2);
+    const [thread] = buildThreads(comments, { user: null, canModerate: false });
+    expect(thread.comment.body).toBe("Nice post");
+    expect(thread.replies.map((r) => r.comment.body)).toEqual(["Thanks"]);
+    expect(commentCounts(comments).get(String(post.id))).toEqual({ visible: 2, pending: 0 });
+    expect(await storage.loadReactions({ postId: posts[0].id })).toHaveLength(1);
+  });
+});
@@ -0,0 +1,117 @@
+// src/storage/firebaseAdapter.js
+// shared backend: posts/drafts in Firestore, uploaded images in Cloud Storage
+import { getFirestore, connectFirestoreEmulator, collection, doc, getDocs, setDoc, deleteDoc, query, where } from "firebase/firestore";
+import { getStorage, connectStorageEmulator, ref, uploadBytesResumable, getDownloadURL } from "firebase/storage";
+import { getFirebaseApp, useEmulators, emulatorHost, emulatorPorts } from "../firebase.js";
+
+const POSTS_COLLECTION = "posts";
+const DRAFTS_COLLECTION = "drafts";
+const COMMENTS_COLLECTION = "comments";
+const REACTIONS_COLLECTION = "reactions";
+
+let services = null;
+
+// connect*Emulator may only be called once per instance, so services are created lazily and cached
+function getServices() {
+  if (services) return services;
+  const app = getFirebaseApp();
+  const db = getFirestore(app);
+  const bucket = getStorage(app);
+  if (useEmulators) {
+    connectFirestoreEmulator(db, emulatorHost, emulatorPorts.firestore);
+    connectStorageEmulator(bucket, emulatorHost, emulatorPorts.storage);
+  }
+  services = { db, bucket };
+  return services;
+}
+
+// Firestore rejects `undefined` fields; a JSON round trip drops them
+const toDoc = (value) => JSON.parse(JSON.stringify(value));
+
+async function loadCollection(name, ...constraints) {
+  const { db } = getServices();
+  const snap = await getDocs(constraints.length ? query(collection(db, name), ...constraints) : collection(db, name));
+  return snap.docs.map((d) => d.data());
+}
+
+export function createFirebaseAdapter() {
+  return {
+    name: "firebase",
+
+    async loadPosts() {
+      const posts = await loadCollection(POSTS_COLLECTION);
+      return posts.sort((a, b) => String(b.createdAt || "").localeCompare(String(a.createdAt || "")));
+    },
+
+    async savePost(post) {
+      const { db } = getServices();
+      await setDoc(doc(db, POSTS_COLLECTION, String(post.id)), toDoc(post));
+    },
+
+    async deletePost(id) {
+      const { db } = getServices();
+      await deleteDoc(doc(db, POSTS_COLLECTION, String(id)));
+    },
+
+    // drafts are private; the security rules only allow reading your own
+    async loadDrafts({ ownerUid } = {}) {
+      const drafts = await loadCollection(DRAFTS_COLLECTION, where("ownerUid", "==", ownerUid || ""));
+      return drafts.sort((a, b) => String(b.updatedAt || "").localeCompare(String(a.updatedAt || "")));
+    },
+
+    async saveDraft(draft) {
+      const { db } = getServices();
+      await setDoc(doc(db, DRAFTS_COLLECTION, String(draft.id)), toDoc(draft));
+    },
+
+    async deleteDraft(id) {
+      const { db } = getServices();
+      await deleteDoc(doc(db, DRAFTS_COLLECTION, String(id)));
+    },
+
+    // comments and reactions for one post, or for every post when postId is omitted
+    async loadComments({ postId } = {}) {
+      return postId == null ? loadCollection(COMMENTS_COLLECTION) : loadCollection(COMMENTS_COLLECTION, where("postId", "==", postId));
+    },
+
+    async saveComment(comment) {
+      const { db } = getServices();
+      await setDoc(doc(db, COMMENTS_COLLECTION, String(comment.id)), toDoc(comment));
+    },
+
+    async deleteComment(id) {
+      const { db } = getServices();
+      await deleteDoc(doc(db, COMMENTS_COLLECTION, String(id)));
+    },
+
+    async loadReactions({ postId } = {}) {
+      return postId == null ? loadCollection(REACTIONS_COLLECTION) : loadCollection(REACTIONS_COLLECTION, where("postId", "==", postId));
+    },
+
+    // one document per (target, user, kind), so concurrent reactions never overwrite each other
+    async saveReaction(reaction) {
+      const { db } = getServices();
+      await setDoc(doc(db, REACTIONS_COLLECTION, String(reaction.id)), toDoc(reaction));
+    },
+
+    async deleteReaction(id) {
+      const { db } = getServices();
+      await deleteDoc(doc(db, REACTIONS_COLLECTION, String(id)));
+    },
+
+    // uploads to images/<timestamp>-<name> and resolves with the public download URL
+    uploadImage(blob, { name, onProgress } = {}) {
+      const { bucket } = getServices();
+      const safeName = (name || blob.name || "image").replace(/[^\w.-]+/g, "_");
+      const task = uploadBytesResumable(ref(bucket, `images/${Date.now()}-${safeName}`), blob, { contentType: blob.type });
+      return new Promise((resolve, reject) => {
+        task.on(
+          "state_changed",
+          (snap) => onProgress?.(snap.totalBytes ? Math.round((snap.bytesTransferred / snap.totalBytes) * 100) : 0),
+          reject,
+          () => getDownloadURL(task.snapshot.ref).then(resolve, reject),
+        );
+      });
+    },
+  };
+}
@@ -0,0 +1,108 @@
+// src/storage/index.js
+// persistence facade used by App; the backend is picked with VITE_STORAGE_BACKEND ("local" | "firebase")
+import { createLocalStorageAdapter } from "./localStorageAdapter.js";
+import { cachedPosts, cachePosts, dequeuePost, enqueuePost, queuedPosts, updateCachedPosts } from "./syncQueue.js";
+
+export const storageBackend = import.meta.env.VITE_STORAGE_BACKEND === "firebase" ? "firebase" : "local";
+
+// the Firebase SDK is only downloaded when that backend is selected
+const adapterPromise = storageBackend === "firebase"
+  ? import("./firebaseAdapter.js").then((m) => m.createFirebaseAdapter())
+  : Promise.resolve(createLocalStorageAdapter());
+
+// every method returns a promise; loadDrafts takes { ownerUid }, loadComments/loadReactions take { postId }, uploadImage(blob, { name, onProgress }) resolves with a URL or "idb://" ref
+const call = (method) => async (...args) => (await adapterPromise)[method](...args);
+
+/* ---------- offline ---------- */
+
+// the local backend is this browser and always reachable; a remote one is not while offline, so post saves wait in the
+// sync queue and the post list comes from the last one loaded online
+const remoteBackend = storageBackend !== "local";
+const isOffline = () => remoteBackend && !navigator.onLine;
+
+// what a queued save is compared against: the server copy must still be the version the save was based on
+export const postVersion = (post) => (post ? post.updatedAt || post.createdAt || null : null);
+
+const upsert = (list, post) => [post, ...list.filter((p) => String(p.id) !== String(post.id))];
+
+// queued saves are the newest copies of their posts
+async function withQueued(posts) {
+  const queued = remoteBackend ? await queuedPosts() : [];
+  return queued.reduce((list, { post }) => (list.some((p) => String(p.id) === String(post.id))
+    ? list.map((p) => (String(p.id) === String(post.id) ? post : p))
+    : [post, ...list]), posts);
+}
+
+async function loadPosts() {
+  if (isOffline()) return withQueued(await cachedPosts());
+  const posts = await call("loadPosts")();
+  if (remoteBackend) cachePosts(posts).catch((err) => console.error("cache posts failed", err));
+  return withQueued(posts);
+}
+
+// resolves { queued: true } when the save waits for the connection; baseVersion is postVersion() of the copy it replaces
+async function savePost(post, { baseVersion = null } = {}) {
+  if (isOffline()) {
+    await enqueuePost(post, baseVersion);
+    return { queued: true };
+  }
+  await call("savePost")(post);
+  if (remoteBackend) {
+    // a save made online supersedes one still waiting from offline
+    await dequeuePost(post.id);
+    updateCachedPosts((list) => upsert(list, post)).catch((err) => console.error("cache posts failed", err));
+  }
+  return { queued: false };
+}
+
+async function deletePost(id) {
+  await call("deletePost")(id);
+  if (!remoteBackend) return;
+  await dequeuePost(id);
+  updateCachedPosts((list) => list.filter((p) => String(p.id) !== String(id))).catch((err) => console.error("cache posts failed", err));
+}
+
+// replays offline saves, oldest first; a post changed (or deleted) on the server since a save was queued stays queued
+// and comes back as a conflict { local, server } for the user to resolve
+export async function syncQueuedPosts() {
+  const queued = remoteBackend && navigator.onLine ? await queuedPosts() : [];
+  if (!queued.length) return { synced: [], conflicts: [] };
+  const adapter = await adapterPromise;
+  const server = new Map((await adapter.loadPosts()).map((p) => [String(p.id), p]));
+  const synced = [];
+  const conflicts = [];
+  for (const { post, baseVersion } of queued) {
+    const current = server.get(String(post.id)) || null;
+    const version = postVersion(current);
+    if (version === baseVersion || version === postVersion(post)) {
+      await savePost(post);
+      synced.push(post);
+    } else {
+      conflicts.push({ local: post, server: current });
+    }
+  }
+  return { synced, conflicts };
+}
+
+// settle a conflict: save `keep` (the offline copy, to overwrite the server) or nothing (the server copy stays)
+export async function resolveQueuedPost(id, keep = null) {
+  // offline again: the save stays queued and is checked once more on the next sync
+  if (keep && (await savePost(keep)).queued) return;
+  await dequeuePost(id);
+}
+
+export const storage = {
+  loadPosts,
+  savePost,
+  deletePost,
+  loadDrafts: call("loadDrafts"),
+  saveDraft: call("saveDraft"),
+  deleteDraft: call("deleteDraft"),
+  uploadImage: call("uploadImage"),
+  loadComments: call("loadComments"),
+  saveComment: call("saveComment"),
+  deleteComment: call("deleteComment"),
+  loadReactions: call("loadReactions"),
+  saveReaction: call("saveReaction"),
+  deleteReaction: call("deleteReaction"),
+};
@@ -0,0 +1,109 @@
+// src/storage/localStorageAdapter.js
+// default backend: posts/drafts in this browser's localStorage, image blobs in IndexedDB
+import { putImageBlob } from "../images/imageStore.js";
+
+export const POSTS_KEY = "blog-posts";
+export const DRAFTS_KEY = "blog-drafts";
+export const COMMENTS_KEY = "blog-comments";
+export const REACTIONS_KEY = "blog-reactions";
+const LEGACY_DRAFT_KEY = "blog-draft"; // single-slot draft from earlier versions, migrated on load
+
+function readList(key) {
+  const saved = localStorage.getItem(key);
+  if (!saved) return [];
+  try {
+    const parsed = JSON.parse(saved);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    console.error(`load ${key} failed`, err);
+    localStorage.removeItem(key);
+    return [];
+  }
+}
+
+// throws (e.g. QuotaExceededError) so callers can tell the user
+function writeList(key, list) {
+  localStorage.setItem(key, JSON.stringify(list));
+}
+
+// replace an entry by id in place, or put it first when it is new
+function upsert(list, item) {
+  return list.some((it) => it.id === item.id) ? list.map((it) => (it.id === item.id ? item : it)) : [item, ...list];
+}
+
+export function createLocalStorageAdapter() {
+  return {
+    name: "local",
+
+    async loadPosts() {
+      return readList(POSTS_KEY);
+    },
+
+    async savePost(post) {
+      writeList(POSTS_KEY, upsert(readList(POSTS_KEY), post));
+    },
+
+    async deletePost(id) {
+      writeList(POSTS_KEY, readList(POSTS_KEY).filter((p) => p.id !== id));
+    },
+
+    // drafts are private: only the owner's (and unowned legacy) drafts are returned
+    async loadDrafts({ ownerUid } = {}) {
+      let drafts = readList(DRAFTS_KEY);
+      const legacy = localStorage.getItem(LEGACY_DRAFT_KEY);
+      if (legacy) {
+        try {
+          const parsed = JSON.parse(legacy);
+          if (parsed && (parsed.title || parsed.content || parsed.tags?.length || parsed.images?.length)) {
+            drafts = [{ ...parsed, id: Date.now(), updatedAt: new Date().toISOString() }, ...drafts];
+            writeList(DRAFTS_KEY, drafts);
+          }
+        } catch (err) { console.error("restore draft failed", err); }
+        localStorage.removeItem(LEGACY_DRAFT_KEY);
+      }
+      return drafts.filter((d) => !d.ownerUid || !ownerUid || d.ownerUid === ownerUid).sort((a, b) => String(b.updatedAt || "").localeCompare(String(a.updatedAt || "")));
+    },
+
+    async saveDraft(draft) {
+      writeList(DRAFTS_KEY, upsert(readList(DRAFTS_KEY), draft));
+    },
+
+    async deleteDraft(id) {
+      writeList(DRAFTS_KEY, readList(DRAFTS_KEY).filter((d) => d.id !== id));
+    },
+
+    // comments and reactions for one post, or for every post when postId is omitted
+    async loadComments({ postId } = {}) {
+      const comments = readList(COMMENTS_KEY);
+      return postId == null ? comments : comments.filter((c) => String(c.postId) === String(postId));
+    },
+
+    async saveComment(comment) {
+      writeList(COMMENTS_KEY, upsert(readList(COMMENTS_KEY), comment));
+    },
+
+    async deleteComment(id) {
+      writeList(COMMENTS_KEY, readList(COMMENTS_KEY).filter((c) => c.id !== id));
+    },
+
+    async loadReactions({ postId } = {}) {
+      const reactions = readList(REACTIONS_KEY);
+      return postId == null ? reactions : reactions.filter((r) => String(r.postId) === String(postId));
+    },
+
+    async saveReaction(reaction) {
+      writeList(REACTIONS_KEY, upsert(readList(REACTIONS_KEY), reaction));
+    },
+
+    async deleteReaction(id) {
+      writeList(REACTIONS_KEY, readList(REACTIONS_KEY).filter((r) => r.id !== id));
+    },
+
+    // resolves with an "idb://" ref; localStorage only ever holds the ref, never the image data
+    async uploadImage(blob, { onProgress } = {}) {
+      const ref = await putImageBlob(blob);
+      onProgress?.(100);
+      return ref;
+    },
+  };
+}
@@ -0,0 +1,66 @@
+// src/storage/syncQueue.js
+// offline support for remote backends (IndexedDB): post saves waiting to be sent, and the last post list seen online
+
+const DB_NAME = "interactive-blog-sync";
+const QUEUE = "queue"; // post id -> { post, baseVersion, queuedAt }
+const SNAPSHOT = "snapshot"; // "posts" -> [post]
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => {
+      req.result.createObjectStore(QUEUE);
+      req.result.createObjectStore(SNAPSHOT);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  return dbPromise;
+}
+
+async function run(storeName, mode, action) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = action(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted"));
+  });
+}
+
+/* ---------- queue ---------- */
+
+// one entry per post: saving it again offline replaces the post but keeps the version the first save was based on,
+// which is what the server copy is compared against when the queue is replayed
+export async function enqueuePost(post, baseVersion) {
+  const key = String(post.id);
+  const existing = await run(QUEUE, "readonly", (store) => store.get(key));
+  const entry = existing
+    ? { ...existing, post }
+    : { post, baseVersion: baseVersion ?? null, queuedAt: new Date().toISOString() };
+  await run(QUEUE, "readwrite", (store) => store.put(entry, key));
+}
+
+// oldest first, the order they are replayed in
+export async function queuedPosts() {
+  const entries = (await run(QUEUE, "readonly", (store) => store.getAll())) || [];
+  return entries.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+}
+
+export const dequeuePost = (id) => run(QUEUE, "readwrite", (store) => store.delete(String(id)));
+
+/* ---------- snapshot ---------- */
+
+export async function cachedPosts() {
+  return (await run(SNAPSHOT, "readonly", (store) => store.get("posts"))) || [];
+}
+
+export const cachePosts = (posts) => run(SNAPSHOT, "readwrite", (store) => store.put(posts, "posts"));
+
+export async function updateCachedPosts(change) {
+  await cachePosts(change(await cachedPosts()));
+}
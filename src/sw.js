@@ -0,0 +1,38 @@
+// src/sw.js
+// service worker, built into dist/sw.js by vite.config.js with the app shell file list and a cache version prepended:
+// the shell is cached at install so the app opens offline; posts themselves go through storage/syncQueue.js
+const PRECACHE = self.__PRECACHE__ || [];
+const CACHE = `blog-shell-${self.__CACHE_VERSION__ || "dev"}`;
+
+const scoped = (path) => new URL(path, self.registration.scope).href;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(PRECACHE.map(scoped))));
+});
+
+// shells from earlier builds go once this one takes over
+self.addEventListener("activate", (event) => {
+  event.waitUntil(caches.keys().then((keys) => Promise.all(
+    keys.filter((key) => key.startsWith("blog-shell-") && key !== CACHE).map((key) => caches.delete(key)),
+  )));
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+
+  // pages: the network first so a new build shows up, the cached shell offline (every route is the same index.html)
+  if (request.mode === "navigate") {
+    event.respondWith(fetch(request).catch(() => caches.match(scoped("index.html"))));
+    return;
+  }
+
+  // build files are content-hashed, so a cached copy is always right; anything else same-origin is cached as it is fetched
+  event.respondWith(caches.match(request).then((cached) => cached || fetch(request).then((response) => {
+    if (response.ok) {
+      const copy = response.clone();
+      caches.open(CACHE).then((cache) => cache.put(request, copy));
+    }
+    return response;
+  })));
+});
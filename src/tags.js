@@ -0,0 +1,76 @@
+// src/tags.js
+// tag normalization, usage counts and library-wide rename / merge / delete
+import { slugify } from "./slug.js";
+
+// "  #React   Hooks " -> "react hooks"
+export const normalizeTag = (raw) => (raw || "").trim().replace(/^#+/, "").replace(/\s+/g, " ").trim().toLowerCase();
+
+// identity used to spot duplicates: "React.js", "react-js" and "react js" share one key
+export const tagKey = (tag) => slugify(normalizeTag(tag), "");
+
+// normalize a list, dropping empties and key duplicates (first spelling wins)
+export function normalizeTags(tags) {
+  const seen = new Set();
+  const out = [];
+  (tags || []).forEach((raw) => {
+    const tag = normalizeTag(raw);
+    const key = tagKey(tag);
+    if (!key || seen.has(key)) return;
+    seen.add(key);
+    out.push(tag);
+  });
+  return out;
+}
+
+// [{ tag, key, count, variants }] across posts, most used first; tag is the most common normalized spelling
+export function tagUsage(posts) {
+  const byKey = new Map();
+  posts.forEach((post) => {
+    new Set(post.tags || []).forEach((raw) => {
+      const key = tagKey(raw);
+      if (!key) return;
+      if (!byKey.has(key)) byKey.set(key, { key, count: 0, spellings: new Map() });
+      const entry = byKey.get(key);
+      entry.count++;
+      entry.spellings.set(raw, (entry.spellings.get(raw) || 0) + 1);
+    });
+  });
+  return [...byKey.values()]
+    .map(({ key, count, spellings }) => {
+      const [top] = [...spellings].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+      return { tag: normalizeTag(top[0]), key, count, variants: [...spellings.keys()] };
+    })
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+// the existing spelling of a typed tag, or its normalized form when it is new
+export function canonicalTag(raw, usage) {
+  const key = tagKey(raw);
+  return usage.find((u) => u.key === key)?.tag ?? normalizeTag(raw);
+}
+
+// autocomplete: tags whose text or key starts with (then contains) what was typed
+export function suggestTags(input, usage, exclude = [], limit = 8) {
+  const text = normalizeTag(input);
+  if (!text) return [];
+  const key = tagKey(text);
+  const skip = new Set(exclude.map(tagKey));
+  const candidates = usage.filter((u) => !skip.has(u.key));
+  const starts = candidates.filter((u) => u.tag.startsWith(text) || (key && u.key.startsWith(key)));
+  const contains = candidates.filter((u) => !starts.includes(u) && (u.tag.includes(text) || (key && u.key.includes(key))));
+  return [...starts, ...contains].slice(0, limit);
+}
+
+/* ---------- library-wide edits ---------- */
+
+// replace every tag with key `fromKey` by `to` (null deletes it); returns { ...item, tags } for items that changed
+export function retagItems(items, fromKey, to) {
+  const changed = [];
+  items.forEach((item) => {
+    const tags = item.tags || [];
+    if (!tags.some((t) => tagKey(t) === fromKey)) return;
+    const next = tags.map((t) => (tagKey(t) === fromKey ? to : t)).filter(Boolean);
+    changed.push({ ...item, tags: normalizeTags(next) });
+  });
+  return changed;
+}
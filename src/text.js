@@ -0,0 +1,32 @@
+// src/text.js
+// plain text from post HTML, and trimming it for summaries
+
+const BLOCK_TAGS = "p, h1, h2, h3, h4, h5, h6, li, blockquote, pre, figcaption, tr, th, td, br, hr";
+
+// one line per block ("<h2>Intro</h2><p>Hi</p>" -> "Intro\nHi", not "IntroHi")
+export function blockText(html) {
+  if (!html) return "";
+  const tpl = document.createElement("template");
+  tpl.innerHTML = html;
+  tpl.content.querySelectorAll(BLOCK_TAGS).forEach((el) => el.after("\n"));
+  return tpl.content.textContent.replace(/[^\S\n]+/g, " ").replace(/ ?\n[\s]*/g, "\n").trim();
+}
+
+// the same on one line, as stored in contentPlain
+export const plainText = (html) => blockText(html).replace(/\n/g, " ");
+
+// cut at a word boundary and add "…" when text is longer than max
+export function truncate(text, max) {
+  const clean = (text || "").replace(/\s+/g, " ").trim();
+  if (clean.length <= max) return clean;
+  const cut = clean.slice(0, max - 1);
+  const space = cut.lastIndexOf(" ");
+  return `${(space > max / 2 ? cut.slice(0, space) : cut).replace(/[\s,;:.-]+$/, "")}…`;
+}
+
+// "First sentence. Second one." -> "First sentence.", capped at max characters
+export function firstSentence(text, max = 160) {
+  const clean = (text || "").replace(/\s+/g, " ").trim();
+  const sentence = clean.match(/^.+?[.!?](?=\s|$)/);
+  return truncate(sentence ? sentence[0] : clean, max);
+}
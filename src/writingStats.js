@@ -0,0 +1,62 @@
+// src/writingStats.js
+// writing feedback for the editor: counts, reading time, Flesch–Kincaid readability, long-sentence and passive-voice flags
+
+export const WORDS_PER_MINUTE = 230;
+export const LONG_SENTENCE_WORDS = 25;
+
+const WORD = /[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu;
+
+export const countWords = (text) => (text || "").match(WORD)?.length || 0;
+
+// whole minutes, at least 1 for any text
+export const readingTime = (words) => (words ? Math.max(1, Math.round(words / WORDS_PER_MINUTE)) : 0);
+
+// vowel groups minus silent endings: the usual heuristic, close enough for a readability score
+export function syllables(word) {
+  const w = word.toLowerCase().replace(/[^a-z]/g, "");
+  if (w.length <= 3) return 1;
+  const groups = w.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, "").replace(/^y/, "").match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 0);
+}
+
+// a sentence ends at . ! or ? followed by a space, or at the end of its line (block); e.g. "3.5" does not end one
+const SENTENCE = /\S.*?(?:[.!?]+["'”’)\]]*(?=\s|$)|$)/gm;
+
+// [{ text, start, end }] with offsets into text
+export function sentences(text) {
+  return [...(text || "").matchAll(SENTENCE)]
+    .map((m) => ({ text: m[0].trimEnd(), start: m.index, end: m.index + m[0].trimEnd().length }))
+    .filter((s) => countWords(s.text) > 0);
+}
+
+export function textStats(text) {
+  const words = (text || "").match(WORD) || [];
+  const sentenceCount = Math.max(1, sentences(text).length);
+  const wordsPerSentence = words.length / sentenceCount;
+  const syllablesPerWord = words.reduce((n, w) => n + syllables(w), 0) / Math.max(1, words.length);
+  return {
+    words: words.length,
+    characters: (text || "").replace(/\n/g, "").length,
+    readingMinutes: readingTime(words.length),
+    // Flesch–Kincaid grade level and Flesch reading ease; null for an empty post
+    grade: words.length ? Math.max(0, 0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59) : null,
+    ease: words.length ? Math.min(100, Math.max(0, 206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord)) : null,
+  };
+}
+
+const EASE_LABELS = [[90, "very easy"], [80, "easy"], [70, "fairly easy"], [60, "plain English"], [50, "fairly difficult"], [30, "difficult"], [0, "very difficult"]];
+
+export const readingEaseLabel = (ease) => EASE_LABELS.find(([min]) => ease >= min)[1];
+
+// a form of "to be" (optionally an -ly adverb) and a past participle: "was written", "are being quickly replaced"
+const IRREGULAR_PARTICIPLES = "known|written|given|taken|made|done|seen|shown|told|found|built|sent|held|kept|left|paid|put|set|brought|bought|caught|taught|thought|chosen|driven|eaten|fallen|forgotten|hidden|broken|spoken|stolen|worn|torn|begun|drawn|grown|thrown|understood|won|lost|met|sold|cut|felt|heard|led|meant|said|spent|struck|beaten|frozen|shaken|sung|hung";
+const PASSIVE = new RegExp(`\\b(?:am|is|are|was|were|be|been|being)\\s+(?:being\\s+)?(?:\\w+ly\\s+)?(?:\\w{2,}ed|${IRREGULAR_PARTICIPLES})\\b`, "gi");
+
+// [{ kind: "long" | "passive", start, end }] with offsets into text, in document order
+export function writingIssues(text) {
+  const long = sentences(text)
+    .filter((s) => countWords(s.text) > LONG_SENTENCE_WORDS)
+    .map((s) => ({ kind: "long", start: s.start, end: s.end }));
+  const passive = [...(text || "").matchAll(PASSIVE)].map((m) => ({ kind: "passive", start: m.index, end: m.index + m[0].length }));
+  return [...long, ...passive].sort((a, b) => a.start - b.start);
+}
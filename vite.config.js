@@ -1,7 +1,34 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { readFileSync } from 'node:fs'
+import { createHash } from 'node:crypto'
+
+// files from public/ that belong to the app shell
+const SHELL_FILES = ['index.html', 'manifest.webmanifest', 'icons/icon-192.png', 'icons/icon-512.png']
+
+// emits dist/sw.js: src/sw.js with the build's files to precache and a cache version that changes with them
+function serviceWorker() {
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(_, bundle) {
+      const files = [...new Set([...SHELL_FILES, ...Object.keys(bundle).filter((file) => !file.endsWith('.map'))])]
+      const version = createHash('sha256').update(files.join('\n')).digest('hex').slice(0, 12)
+      const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: `self.__PRECACHE__ = ${JSON.stringify(files)};\nself.__CACHE_VERSION__ = ${JSON.stringify(version)};\n${source}`,
+      })
+    },
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
+  test: {
+    environment: 'jsdom',
+  },
 })